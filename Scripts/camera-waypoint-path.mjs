@@ -14,6 +14,12 @@ import {
     QuarticInOut,
     QuinticInOut
 } from './tween.mjs';
+import {
+    CSV_POSITIONAL_COLUMNS,
+    readCsvHeader,
+    readCsvRotation,
+    tokenizeCsv
+} from './waypoint-csv.mjs';
 
 /** @typedef {import('playcanvas').Asset} asset */
 /** @typedef {import('playcanvas').Entity} entity */
@@ -42,7 +48,7 @@ class CameraWaypointPath extends Script {
     waypointPositions = [];
 
     /**
-     * @type {Vec3[]}
+     * @type {(Vec3|null)[]}
      * @private
      */
     waypointRotations = [];
@@ -223,22 +229,33 @@ class CameraWaypointPath extends Script {
         let currentPos = this.entity.getLocalPosition().clone();
         let currentRot = this.entity.getLocalRotation().clone();
 
+        const pauses = this.waypointPauses || [];
         const segments = this._buildSegments();
+        if (segments.length && (pauses[0] ?? 0) > 0) {
+            // travel to the first waypoint on its own so the camera can dwell there
+            const nextPoint = this._toVec3(this.waypointPositions[1], currentPos);
+            segments.unshift({ start: 0, end: 0, prevPoint: null, nextPoint });
+        }
         for (let s = 0; s < segments.length; s++) {
             const segment = segments[s];
             const pathPoints = this._collectSegmentPoints(segment.start, segment.end, currentPos);
             if (pathPoints.length < 2) {
                 currentPos = this._toVec3(this.waypointPositions[segment.end], currentPos);
                 currentRot = this._toQuat(this.waypointRotations[segment.end], currentRot);
+                const pause = pauses[segment.end] ?? 0;
+                if (pause > 0) {
+                    this._tweens.push(this._createDwellTween(segment.end, currentPos, currentRot, pause));
+                }
                 continue;
             }
 
             const totalDistance = this._chainLength(pathPoints);
-            const duration = Math.max(totalDistance * this.durationPerUnit, this.minDuration);
             const curvePoints = this._sampleCurve(pathPoints, segment.prevPoint, segment.nextPoint, Math.max(24, Math.ceil(totalDistance * 6)));
+            const curveLengths = this._cumulativeLengths(curvePoints);
+            const duration = Math.max(curveLengths[curveLengths.length - 1] * this.durationPerUnit, this.minDuration);
             const targetRotQuat = this._toQuat(this.waypointRotations[segment.end], currentRot);
 
-            const moveTween = this._createCurveTween(curvePoints, currentRot, targetRotQuat, duration, easingFn);
+            const moveTween = this._createCurveTween(curvePoints, curveLengths, currentRot, targetRotQuat, duration, easingFn);
             const waypointNumber = segment.end + 1;
             moveTween.onComplete(() => {
                 const endPos = curvePoints[curvePoints.length - 1];
@@ -250,6 +267,11 @@ class CameraWaypointPath extends Script {
 
             currentPos = curvePoints[curvePoints.length - 1].clone();
             currentRot = targetRotQuat.clone();
+
+            const pause = pauses[segment.end] ?? 0;
+            if (pause > 0) {
+                this._tweens.push(this._createDwellTween(segment.end, currentPos, currentRot, pause));
+            }
         }
 
         if (!this._tweens.length) {
@@ -310,6 +332,35 @@ class CameraWaypointPath extends Script {
         return tween;
     }
 
+    _createDwellTween(index, position, rotation, duration) {
+        const state = { t: 0 };
+        const pos = position.clone();
+        const rot = rotation.clone();
+        const app = /** @type {any} */ (this.app);
+        const event = {
+            index,
+            duration,
+            position: pos,
+            rotation: rot
+        };
+
+        let started = false;
+        const tween = app.tween(state).to({ t: 1 }, duration, Linear);
+        tween.onUpdate(() => {
+            if (!started) {
+                started = true;
+                this.app.fire('camera:waypoint:dwell:start', event);
+            }
+            this.entity.setLocalPosition(pos);
+            this.entity.setLocalRotation(rot);
+        });
+        tween.onComplete(() => {
+            this.app.fire('camera:waypoint:dwell:end', event);
+        });
+
+        return tween;
+    }
+
     _getEasing() {
         const easingMap = {
             Linear,
@@ -353,7 +404,11 @@ class CameraWaypointPath extends Script {
     _collectSegmentPoints(start, end, currentPos) {
         const points = [currentPos.clone()];
         for (let idx = start; idx <= end; idx++) {
-            points.push(this._toVec3(this.waypointPositions[idx], currentPos));
+            const point = this._toVec3(this.waypointPositions[idx], currentPos);
+            // the camera already sits on the start waypoint after dwelling there, and a repeated
+            // point would leave a zero-length span at the start of the curve
+            if (point.distance(points[points.length - 1]) <= this._EPSILON) continue;
+            points.push(point);
         }
         return points;
     }
@@ -366,6 +421,14 @@ class CameraWaypointPath extends Script {
         return distance;
     }
 
+    _cumulativeLengths(points) {
+        const lengths = [0];
+        for (let i = 1; i < points.length; i++) {
+            lengths.push(lengths[i - 1] + points[i].distance(points[i - 1]));
+        }
+        return lengths;
+    }
+
     _sampleCurve(points, prevPoint, nextPoint, sampleCount = 32) {
         if (points.length < 2) return points.map((p) => p.clone());
         const segmentLengths = [];
@@ -374,7 +437,7 @@ class CameraWaypointPath extends Script {
         }
         const totalLength = this._chainLength(points) || 1;
         const extended = [];
-        const startExtra = prevPoint ?? this._extrapolate(points[0], points[1] || points[0], -2);
+        const startExtra = prevPoint ?? this._extrapolate(points[0], points[1] || points[0], 2);
         const endExtra = nextPoint ?? this._extrapolate(points[points.length - 1], points[points.length - 2] || points[points.length - 1], 2);
         extended.push(startExtra);
         points.forEach((point) => extended.push(point.clone()));
@@ -423,9 +486,10 @@ class CameraWaypointPath extends Script {
     }
 
     _lerpVec3(a, b, t) {
+        // no clamping: the Barry-Goldman pyramid extrapolates beyond the outer control points,
+        // and clamping there reduces every span to a straight line with a kink at each waypoint
         const v = new Vec3();
-        const alpha = Math.min(Math.max(t, 0), 1);
-        v.lerp(a, b, alpha);
+        v.lerp(a, b, t);
         return v;
     }
 
@@ -445,7 +509,7 @@ class CameraWaypointPath extends Script {
         return point.clone().add(dir);
     }
 
-    _createCurveTween(curvePoints, fromRot, toRot, duration, easingFn) {
+    _createCurveTween(curvePoints, curveLengths, fromRot, toRot, duration, easingFn) {
         const state = { t: 0 };
         const pos = new Vec3();
         const rot = new Quat();
@@ -457,15 +521,10 @@ class CameraWaypointPath extends Script {
             });
             return tween;
         }
-        const totalSegments = curvePoints.length - 1;
+        const totalLength = curveLengths[curveLengths.length - 1];
         const tween = app.tween(state).to({ t: 1 }, duration, easingFn);
         tween.onUpdate(() => {
-            const scaled = Math.min(state.t, 1) * totalSegments;
-            const index = Math.floor(scaled);
-            const blend = scaled - index;
-            const from = curvePoints[index];
-            const to = curvePoints[Math.min(index + 1, totalSegments)];
-            pos.lerp(from, to, blend);
+            this._sampleAtDistance(curvePoints, curveLengths, Math.min(state.t, 1) * totalLength, pos);
             rot.slerp(fromRot, toRot, state.t);
             this.entity.setLocalPosition(pos);
             this.entity.setLocalRotation(rot);
@@ -474,6 +533,27 @@ class CameraWaypointPath extends Script {
         return tween;
     }
 
+    _sampleAtDistance(points, lengths, distance, out) {
+        const last = points.length - 1;
+        if (distance <= 0 || last < 1) return out.copy(points[0]);
+        if (distance >= lengths[last]) return out.copy(points[last]);
+
+        // binary search for the span containing the distance
+        let lo = 0;
+        let hi = last;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (lengths[mid] <= distance) {
+                lo = mid;
+            } else {
+                hi = mid;
+            }
+        }
+        const span = lengths[hi] - lengths[lo];
+        const blend = span > 0 ? (distance - lengths[lo]) / span : 0;
+        return out.lerp(points[lo], points[hi], blend);
+    }
+
     _toVec3(value, fallback) {
         if (value instanceof Vec3) {
             return value.clone();
@@ -618,23 +698,37 @@ class CameraWaypointPath extends Script {
     }
 
     _parseCsv(text) {
-        const lines = text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
-        if (!lines.length) return;
+        const rows = tokenizeCsv(text, this.csvDelimiter);
+        if (!rows.length) return;
+
+        const header = readCsvHeader(rows[0].cells);
+        if (header) {
+            rows.shift();
+        }
+        const columns = header ?? CSV_POSITIONAL_COLUMNS;
+        const read = (cells, field) => {
+            const value = cells[columns[field]];
+            return value === undefined || value === '' ? null : Number(value);
+        };
 
         const positions = [];
         const rotations = [];
         const pauses = [];
+        let lastAngles = null;
 
-        for (let i = 0; i < lines.length; i++) {
-            const cols = lines[i].split(this.csvDelimiter).map((c) => c.trim());
-            if (cols.length < 6) continue;
+        for (let i = 0; i < rows.length; i++) {
+            const cells = rows[i].cells;
+            if (!header && cells.length < 6) continue;
 
-            const nums = cols.map((c) => Number(c));
+            const nums = ['x', 'y', 'z', 'rx', 'ry', 'rz'].map((field) => read(cells, field));
+            if (nums.slice(0, 3).some((n) => n === null)) continue;
             if (nums.some((n) => Number.isNaN(n))) continue;
 
             positions.push(new Vec3(nums[0], nums[1], nums[2]));
-            rotations.push(new Vec3(nums[3], nums[4], nums[5]));
-            pauses.push(Number(cols[6]) || 0);
+            const angles = readCsvRotation(nums.slice(3), lastAngles);
+            lastAngles = angles ?? lastAngles;
+            rotations.push(angles ? new Vec3(angles[0], angles[1], angles[2]) : null);
+            pauses.push(read(cells, 'pause') || 0);
         }
 
         this.waypointPositions = positions;
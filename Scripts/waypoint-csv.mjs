@@ -0,0 +1,149 @@
+/**
+ * Column layout of a CSV file without a header row.
+ */
+const CSV_POSITIONAL_COLUMNS = {
+    x: 0,
+    y: 1,
+    z: 2,
+    rx: 3,
+    ry: 4,
+    rz: 5,
+    pause: 6,
+    lookX: 7,
+    lookY: 8,
+    lookZ: 9,
+    lookAtEntity: 10
+};
+
+/**
+ * Header names accepted for each known column. Header cells are matched case-insensitively with
+ * spaces, dashes and underscores removed.
+ */
+const CSV_HEADER_ALIASES = {
+    x: ['x', 'px', 'posx', 'positionx'],
+    y: ['y', 'py', 'posy', 'positiony'],
+    z: ['z', 'pz', 'posz', 'positionz'],
+    rx: ['rx', 'rotx', 'rotationx', 'pitch'],
+    ry: ['ry', 'roty', 'rotationy', 'yaw'],
+    rz: ['rz', 'rotz', 'rotationz', 'roll'],
+    pause: ['pause', 'wait', 'delay', 'dwell'],
+    lookX: ['lookx', 'lookatx'],
+    lookY: ['looky', 'lookaty'],
+    lookZ: ['lookz', 'lookatz'],
+    lookAtEntity: ['lookatentity', 'lookentity', 'target'],
+    id: ['id'],
+    name: ['name'],
+    label: ['label'],
+    description: ['description', 'desc'],
+    fov: ['fov'],
+    speed: ['speed'],
+    duration: ['duration', 'time'],
+    easing: ['easing'],
+    links: ['links', 'link', 'connections', 'doorways'],
+    tension: ['tension'],
+    continuity: ['continuity'],
+    bias: ['bias']
+};
+
+const aliasLookup = new Map();
+Object.keys(CSV_HEADER_ALIASES).forEach((field) => {
+    CSV_HEADER_ALIASES[field].forEach((alias) => aliasLookup.set(alias, field));
+});
+
+/**
+ * Splits one CSV line into trimmed cells. Cells may be wrapped in double quotes to contain the
+ * delimiter, with `""` standing for a literal quote.
+ *
+ * @param {string} line - The line to split.
+ * @param {string} delimiter - The cell delimiter.
+ * @returns {string[]} The cells.
+ */
+const splitCsvLine = (line, delimiter) => {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch !== '"') {
+                cell += ch;
+            } else if (line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else {
+                quoted = false;
+            }
+        } else if (ch === '"' && cell.trim() === '') {
+            quoted = true;
+            cell = '';
+        } else if (line.startsWith(delimiter, i)) {
+            cells.push(cell.trim());
+            cell = '';
+            i += delimiter.length - 1;
+        } else {
+            cell += ch;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+};
+
+/**
+ * Splits CSV text into rows of cells. Blank lines and comment lines starting with `#` are
+ * skipped. Quoted cells cannot span lines.
+ *
+ * @param {string} text - The CSV text.
+ * @param {string} [delimiter] - The cell delimiter.
+ * @returns {{ line: number, cells: string[] }[]} The rows with their 1-based line numbers.
+ */
+const tokenizeCsv = (text, delimiter = ',') => {
+    const rows = [];
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    for (let i = 0; i < lines.length; i++) {
+        const content = lines[i].trim();
+        if (!content || content.startsWith('#')) continue;
+        rows.push({ line: i + 1, cells: splitCsvLine(content, delimiter || ',') });
+    }
+    return rows;
+};
+
+/**
+ * Reads a header row into a map of column name to column index. Known columns use the keys of
+ * {@link CSV_HEADER_ALIASES}; any other column keeps its header text. Returns null when the row
+ * is not a header, which is the case unless it names the x, y and z columns.
+ *
+ * @param {string[]} cells - The cells of the first row.
+ * @returns {Object<string, number>|null} The column map.
+ */
+const readCsvHeader = (cells) => {
+    const columns = {};
+    cells.forEach((cell, index) => {
+        const key = cell.toLowerCase().replace(/[\s_-]/g, '');
+        const field = aliasLookup.get(key) ?? cell;
+        if (field && columns[field] === undefined) {
+            columns[field] = index;
+        }
+    });
+    if (columns.x === undefined || columns.y === undefined || columns.z === undefined) {
+        return null;
+    }
+    return columns;
+};
+
+/**
+ * Resolves the rotation angles of a row. A row without any angle has no rotation of its own, so
+ * the camera keeps the one it arrives with. A row with only some angles takes the missing ones
+ * from the last row that had a rotation, or zero when there is none.
+ *
+ * @param {(number|null)[]} angles - The rx, ry and rz cells, null where a cell is empty or missing.
+ * @param {number[]|null} previous - The angles resolved for the last row with a rotation.
+ * @returns {number[]|null} The angles, or null when the row has no rotation.
+ */
+const readCsvRotation = (angles, previous) => {
+    if (angles.every((angle) => angle === null)) {
+        return null;
+    }
+    return angles.map((angle, i) => angle ?? previous?.[i] ?? 0);
+};
+
+export { CSV_HEADER_ALIASES, CSV_POSITIONAL_COLUMNS, readCsvHeader, readCsvRotation, tokenizeCsv };
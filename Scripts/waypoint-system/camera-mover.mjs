@@ -1,19 +1,105 @@
 import {
+    math,
     AppBase,
     Entity,
+    Mat4,
     Quat,
     Script,
     Vec3
 } from 'playcanvas';
 import {
     addTweenExtensions,
+    BackIn,
+    BackInOut,
+    BackOut,
+    BounceIn,
+    BounceInOut,
+    BounceOut,
+    CircularIn,
+    CircularInOut,
+    CircularOut,
+    CubicIn,
+    CubicInOut,
+    CubicOut,
+    ElasticIn,
+    ElasticInOut,
+    ElasticOut,
+    ExponentialIn,
+    ExponentialInOut,
+    ExponentialOut,
     Linear,
+    QuadraticIn,
+    QuadraticInOut,
+    QuadraticOut,
+    QuarticIn,
+    QuarticInOut,
+    QuarticOut,
+    QuinticIn,
+    QuinticInOut,
+    QuinticOut,
+    SineIn,
     SineInOut,
+    SineOut
+} from '../tween.mjs';
+
+const EPSILON = 1e-6;
+
+const EASINGS = {
+    Linear,
+    QuadraticIn,
+    QuadraticOut,
     QuadraticInOut,
+    CubicIn,
+    CubicOut,
     CubicInOut,
+    QuarticIn,
+    QuarticOut,
     QuarticInOut,
-    QuinticInOut
-} from '../tween.mjs';
+    QuinticIn,
+    QuinticOut,
+    QuinticInOut,
+    SineIn,
+    SineOut,
+    SineInOut,
+    ExponentialIn,
+    ExponentialOut,
+    ExponentialInOut,
+    CircularIn,
+    CircularOut,
+    CircularInOut,
+    ElasticIn,
+    ElasticOut,
+    ElasticInOut,
+    BackIn,
+    BackOut,
+    BackInOut,
+    BounceIn,
+    BounceOut,
+    BounceInOut
+};
+
+// cubic eases that leave or arrive at the speed of Linear, for a run between the seam of a
+// looping path and a pause
+const SeamOut = (t) => ((1 - t) * t + 1) * t;
+const SeamIn = (t) => 1 - SeamOut(1 - t);
+
+const tmpV1 = new Vec3();
+const tmpV2 = new Vec3();
+const lookFrom = new Vec3();
+const lookTo = new Vec3();
+const tmpQ1 = new Quat();
+const tmpQ2 = new Quat();
+const tmpM1 = new Mat4();
+
+// rejects CameraMover.play() when the playback ends without reaching the end of the path
+class CameraPlaybackError extends Error {
+    constructor(message, reason) {
+        super(message);
+        this.name = 'CameraPlaybackError';
+        // 'stopped', 'interrupted', 'replaced' or 'empty'
+        this.reason = reason;
+    }
+}
 
 class CameraMover extends Script {
     static scriptName = 'cameraMover';
@@ -56,6 +142,65 @@ class CameraMover extends Script {
             type: 'boolean',
             title: 'Use Rotations',
             default: true
+        },
+        orientationMode: {
+            type: 'string',
+            title: 'Orientation Mode',
+            default: 'waypoint'
+        },
+        lookAheadDistance: {
+            type: 'number',
+            title: 'Look Ahead Distance',
+            default: 1
+        },
+        pitchLock: {
+            type: 'boolean',
+            title: 'Pitch Lock',
+            default: true
+        },
+        yawSmoothing: {
+            type: 'number',
+            title: 'Yaw Smoothing',
+            default: 0.98
+        },
+        stopBlendDistance: {
+            type: 'number',
+            title: 'Stop Blend Distance',
+            default: 2
+        },
+        handOffControls: {
+            type: 'boolean',
+            title: 'Hand Off Camera Controls',
+            default: true
+        },
+        controlsEntity: {
+            type: 'entity',
+            title: 'Camera Controls Entity'
+        },
+        controlsScriptName: {
+            type: 'string',
+            title: 'Camera Controls Script Name',
+            default: 'cameraControls'
+        },
+        handOffFocusDistance: {
+            type: 'number',
+            title: 'Hand Off Focus Distance',
+            default: 2
+        },
+        interruptMode: {
+            type: 'string',
+            title: 'Interrupt Mode',
+            default: 'abort'
+        },
+        lookReturnDelay: {
+            type: 'number',
+            title: 'Look Return Delay',
+            default: 1.5
+        },
+        lookReturnDamping: {
+            type: 'number',
+            title: 'Look Return Damping',
+            default: 0.995
         }
     };
 
@@ -67,12 +212,45 @@ class CameraMover extends Script {
     autoStart = true;
     loop = false;
     useRotations = true;
+    orientationMode = 'waypoint';
+    lookAheadDistance = 1;
+    pitchLock = true;
+    yawSmoothing = 0.98;
+    stopBlendDistance = 2;
+    handOffControls = true;
+    controlsEntity = null;
+    controlsScriptName = 'cameraControls';
+    handOffFocusDistance = 2;
+    interruptMode = 'abort';
+    lookReturnDelay = 1.5;
+    lookReturnDamping = 0.995;
 
-    _tweens = [];
+    _steps = [];
+    _stepIndex = -1;
+    _duration = 0;
     _running = false;
+    _paused = false;
+    _pendingStep = false;
+    _waypointIndex = 0;
+    _moveTargetIndex = 0;
+    _queuedIndex = -1;
     _lastPath = null;
+    _route = null;
+    _source = null;
+    _routes = new Map();
+    _lookEntities = new Map();
+    _tangentYaw = null;
+    _controls = null;
+    _lookYaw = 0;
+    _lookPitch = 0;
+    _lookIdleTime = Infinity;
+    _frameTime = 0;
+    _playback = null;
+    _once = false;
     _boundOnPath = null;
     _boundOnWaypoints = null;
+    _boundOnRouteWaypoints = null;
+    _boundOnRoutePath = null;
 
     initialize() {
         const appProto = /** @type {any} */ (AppBase.prototype);
@@ -93,40 +271,100 @@ class CameraMover extends Script {
                 this.startFromWaypoints(data);
             }
         };
+        // keep every route so playRoute() can start any of them later
+        this._boundOnRouteWaypoints = (data) => {
+            this._getRouteEntry(data.route).waypoints = data;
+        };
+        this._boundOnRoutePath = (path) => {
+            this._getRouteEntry(path.route).path = path;
+        };
         this.app.on('path:ready', this._boundOnPath);
         this.app.on('waypoints:loaded', this._boundOnWaypoints);
+        this.app.on('waypoints:route:loaded', this._boundOnRouteWaypoints);
+        this.app.on('path:route:ready', this._boundOnRoutePath);
     }
 
     destroy() {
+        this._settlePlayback(new CameraPlaybackError('camera mover was destroyed', 'stopped'));
+        this._resumeControls();
         if (this._boundOnPath) {
             this.app.off('path:ready', this._boundOnPath);
         }
         if (this._boundOnWaypoints) {
             this.app.off('waypoints:loaded', this._boundOnWaypoints);
         }
+        if (this._boundOnRouteWaypoints) {
+            this.app.off('waypoints:route:loaded', this._boundOnRouteWaypoints);
+        }
+        if (this._boundOnRoutePath) {
+            this.app.off('path:route:ready', this._boundOnRoutePath);
+        }
     }
 
-    start(path) {
+    update(dt) {
+        this._frameTime = dt;
+        if (this._lookYaw === 0 && this._lookPitch === 0) return;
+
+        // ease the look-around offset back to the tour orientation once input stops
+        this._lookIdleTime += dt;
+        if (this._lookIdleTime < this.lookReturnDelay) return;
+        const keep = Math.pow(this.lookReturnDamping, dt * 1000);
+        this._lookYaw *= keep;
+        this._lookPitch *= keep;
+        if (Math.abs(this._lookYaw) < 0.01 && Math.abs(this._lookPitch) < 0.01) {
+            this._lookYaw = 0;
+            this._lookPitch = 0;
+        }
+    }
+
+    // `once` plays the path through a single time, without looping or stepping between waypoints
+    start(path, options = {}) {
         if (!path?.segments?.length) return;
 
+        this._replacePlayback(path);
+        this._route = path.route ?? null;
+        this._source = path;
+        this._once = !!options.once;
+        if (this.movementMode === 'stepped' && !this._once) {
+            this._startStepped(path);
+            return;
+        }
+
         this.stop(false);
         this._running = true;
 
         const target = this.targetEntity || this.entity;
-        const easingFn = this._getEasing();
+        const pauses = path.pauses || [];
+        const last = (path.positions?.length ?? 0) - 1;
+        // a looping closed path runs through its seam at constant speed rather than easing to a stop
+        const seamless = path.closed && this.loop && !(pauses[0] > 0) && !(pauses[last] > 0);
         let currentRot = target.getLocalRotation().clone();
 
+        const first = path.segments[0];
+        const startIndex = first.startIndex ?? 0;
+        if (first.samples?.length && (pauses[startIndex] ?? 0) > 0) {
+            this._addDwell(target, path, 0, startIndex, first.samples[0], currentRot, pauses[startIndex]);
+        }
+
         for (let s = 0; s < path.segments.length; s++) {
             const segment = path.segments[s];
             const samples = segment.samples;
             if (!samples || samples.length < 2) continue;
 
-            const distance = segment.distance || this._chainLength(samples);
-            const duration = Math.max(distance * this.durationPerUnit, this.minDuration);
+            const lengths = segment.lengths?.length === samples.length ? segment.lengths : this._cumulativeLengths(samples);
             const endIndex = segment.endIndex ?? (segment.startIndex + samples.length - 1);
             const targetRot = this._resolveRotation(path, endIndex, currentRot);
 
-            const tween = this._createCurveTween(target, samples, currentRot, targetRot, duration, easingFn);
+            const knots = segment.knots?.length ? segment.knots : [0, samples.length - 1];
+            const { duration, timeline } = this._getTiming(path, segment.startIndex ?? 0, lengths, knots);
+            // only the end at the seam keeps constant speed, an end at a pause still eases
+            const fromSeam = seamless && (segment.startIndex ?? 0) === 0;
+            const toSeam = seamless && endIndex === last;
+            const seamEasing = fromSeam ? (toSeam ? Linear : SeamOut) : (toSeam ? SeamIn : null);
+            const easingName = this._getMetadata(path, endIndex).easing;
+            const easingFn = easingName || !seamEasing ? this._getEasing(easingName) : seamEasing;
+            const orientation = this._createOrientation(path, segment.startIndex ?? 0, samples, lengths, knots, currentRot, targetRot);
+            const tween = this._createCurveTween(target, samples, lengths, knots, timeline, orientation, duration, easingFn);
             const waypointIndex = endIndex;
             tween.onComplete(() => {
                 const endPos = samples[samples.length - 1].clone();
@@ -134,90 +372,602 @@ class CameraMover extends Script {
                 this.app.fire('camera:waypoint', {
                     index: waypointIndex,
                     position: endPos,
-                    rotation: rot
+                    rotation: rot,
+                    metadata: this._getMetadata(path, waypointIndex)
                 });
             });
-            this._tweens.push(tween);
+            this._addStep({
+                type: 'move',
+                tween,
+                duration,
+                easing: easingFn,
+                segmentIndex: s,
+                startIndex: segment.startIndex ?? 0,
+                endIndex,
+                lengths,
+                knots,
+                timeline
+            });
             currentRot = targetRot.clone();
-        }
 
-        if (!this._tweens.length) {
-            this._finish();
-            return;
-        }
-
-        for (let i = 1; i < this._tweens.length; i++) {
-            this._tweens[i - 1].chain(this._tweens[i]);
+            const pause = pauses[endIndex] ?? 0;
+            if (pause > 0) {
+                this._addDwell(target, path, s, endIndex, samples[samples.length - 1], currentRot, pause);
+            }
         }
 
-        const last = this._tweens[this._tweens.length - 1];
-        last.onComplete(() => this._onSequenceComplete());
-        this._tweens[0].start();
+        this._playSequence();
     }
 
-    startFromWaypoints(data) {
+    startFromWaypoints(data, options = {}) {
         if (!data?.positions?.length) return;
 
+        this._replacePlayback(data);
+        this._once = !!options.once;
         const positions = data.positions;
-        const rotations = data.rotations || [];
-        const easingFn = this._getEasing();
+        const pauses = data.pauses || [];
         const target = this.targetEntity || this.entity;
 
         this.stop(false);
         this._running = true;
+        this._route = data.route ?? null;
+        this._source = data;
 
         let currentRot = target.getLocalRotation().clone();
 
+        if ((pauses[0] ?? 0) > 0) {
+            this._addDwell(target, data, 0, 0, positions[0], currentRot, pauses[0]);
+        }
+
         for (let i = 1; i < positions.length; i++) {
             const fromPos = positions[i - 1];
             const toPos = positions[i];
             const distance = fromPos.distance(toPos);
-            const duration = Math.max(distance * this.durationPerUnit, this.minDuration);
-            const targetRot = this.useRotations && rotations[i]
-                ? this._toQuat(rotations[i])
-                : currentRot.clone();
-            const tween = this._createLinearTween(target, fromPos, toPos, currentRot, targetRot, duration, easingFn);
+            const { duration } = this._getTiming(data, [i - 1, i], [0, distance], [0, 1]);
+            const easingFn = this._getEasing(this._getMetadata(data, i).easing);
+            const targetRot = this._resolveRotation(data, i, currentRot);
+            const orientation = this._createOrientation(data, i - 1, [fromPos, toPos], [0, distance], [0, 1], currentRot, targetRot);
+            const tween = this._createLinearTween(target, fromPos, toPos, orientation, duration, easingFn);
             const waypointIndex = i;
             tween.onComplete(() => {
                 this.app.fire('camera:waypoint', {
                     index: waypointIndex,
                     position: toPos.clone(),
-                    rotation: targetRot.clone()
+                    rotation: targetRot.clone(),
+                    metadata: this._getMetadata(data, waypointIndex)
                 });
             });
-            this._tweens.push(tween);
+            this._addStep({
+                type: 'move',
+                tween,
+                duration,
+                easing: easingFn,
+                segmentIndex: i - 1,
+                startIndex: i - 1,
+                endIndex: i,
+                lengths: [0, distance],
+                knots: [0, 1]
+            });
             currentRot = targetRot.clone();
+
+            const pause = pauses[i] ?? 0;
+            if (pause > 0) {
+                this._addDwell(target, data, i - 1, i, toPos, currentRot, pause);
+            }
         }
 
-        if (!this._tweens.length) {
-            this._finish();
+        this._playSequence();
+    }
+
+    // like start() or startFromWaypoints(), but resolves with `{ route }` when the path completes and
+    // rejects with a CameraPlaybackError when it is stopped, interrupted or replaced first
+    play(path, options = {}) {
+        return new Promise((resolve, reject) => {
+            const built = !!path?.segments;
+            if (!(built ? path.segments.length : path?.positions?.length)) {
+                reject(new CameraPlaybackError('path has nothing to play', 'empty'));
+                return;
+            }
+            this._replacePlayback(path);
+            this._playback = { path, resolve, reject };
+            if (built) {
+                // a one-off path leaves the loop and stepping on the path played before it
+                if (!options.once) this._lastPath = path;
+                this.start(path, options);
+            } else {
+                this.startFromWaypoints(path, options);
+            }
+        });
+    }
+
+    playRoute(name) {
+        const entry = this._routes.get(name);
+        if (entry?.path) {
+            this._lastPath = entry.path;
+            this.start(entry.path);
+            return true;
+        }
+        // without a path builder, linear mode moves straight between the loaded waypoints
+        if (entry?.waypoints && this.movementMode === 'linear') {
+            this.startFromWaypoints(entry.waypoints);
+            return true;
+        }
+        console.warn(`CameraMover: route "${name}" has not been loaded`);
+        return false;
+    }
+
+    // starts a path from where the camera is without stopping: the first step begins at the
+    // camera's current speed and eases into the path's own timing. `loopPath` is the path `Loop`
+    // restarts afterwards, the joined path itself when not given
+    join(path, loopPath = null) {
+        const speed = this._getSpeed();
+        // a pending play() carries on into the joined path and settles when that completes
+        const playback = this._playback;
+        this._playback = null;
+        this.start(path);
+        if (playback) {
+            playback.path = path;
+            this._playback = playback;
+        }
+        if (this.movementMode !== 'stepped') {
+            this._lastPath = loopPath ?? path;
+        }
+
+        const step = this._steps[this._stepIndex];
+        if (this.movementMode === 'stepped' || step?.type !== 'move' || speed <= EPSILON) return;
+        const length = step.lengths[step.lengths.length - 1];
+        if (length <= EPSILON) return;
+
+        // cubic ease-out with the starting slope of the current speed, kept below 3 to stay monotonic
+        const slope = Math.min(speed * step.duration / length, 3);
+        const easingFn = (t) => ((t - 2) * t + 1) * t * slope + (3 - 2 * t) * t * t;
+        step.easing = easingFn;
+        step.tween.easing = easingFn;
+
+        // a new tween first runs the frame after next, so start it a frame ahead to avoid a hitch
+        this._startStep(this._stepIndex, Math.min(this._frameTime, step.duration));
+    }
+
+    getRoute() {
+        return this._route;
+    }
+
+    // the waypoint data a route was loaded with
+    getRouteData(name) {
+        return this._routes.get(name)?.waypoints ?? null;
+    }
+
+    // the path or waypoint data playing now, or played last
+    getPath() {
+        return this._source;
+    }
+
+    next() {
+        this.goTo(this._getStepBase() + 1);
+    }
+
+    previous() {
+        this.goTo(this._getStepBase() - 1);
+    }
+
+    goTo(index) {
+        if (this.movementMode !== 'stepped') {
+            console.warn('CameraMover: goTo() needs Movement Mode set to "stepped"');
             return;
         }
+        const path = this._lastPath;
+        const count = path?.positions?.length ?? 0;
+        if (!count) return;
+
+        const targetIndex = Math.min(Math.max(index, 0), count - 1);
+        if (this._running) {
+            // finish the current move first, then continue to the latest requested waypoint
+            this._queuedIndex = targetIndex;
+            return;
+        }
+        if (targetIndex === this._waypointIndex) return;
+
+        const { samples, knots } = this._collectSpanSamples(path, this._waypointIndex, targetIndex);
+        if (samples.length < 2) return;
 
-        for (let i = 1; i < this._tweens.length; i++) {
-            this._tweens[i - 1].chain(this._tweens[i]);
+        this.stop(false);
+        this._running = true;
+        this._once = false;
+        this._moveTargetIndex = targetIndex;
+
+        const target = this.targetEntity || this.entity;
+        const current = target.getLocalPosition();
+        if (current.distance(samples[0]) > EPSILON) {
+            // the visitor moved away from the waypoint between steps, so lead in from here
+            samples.unshift(current.clone());
+            for (let k = 1; k < knots.length; k++) {
+                knots[k]++;
+            }
         }
+        const fromIndex = this._waypointIndex;
+        const direction = targetIndex > fromIndex ? 1 : -1;
+        const waypoints = knots.map((_, k) => fromIndex + k * direction);
+        const currentRot = target.getLocalRotation().clone();
+        const targetRot = this._resolveRotation(path, targetIndex, currentRot);
+        const lengths = this._cumulativeLengths(samples);
+        const { duration, timeline } = this._getTiming(path, waypoints, lengths, knots);
+        const easingFn = this._getEasing(this._getMetadata(path, targetIndex).easing);
+
+        const orientation = this._createOrientation(path, waypoints, samples, lengths, knots, currentRot, targetRot);
+        const tween = this._createCurveTween(target, samples, lengths, knots, timeline, orientation, duration, easingFn);
+        tween.onComplete(() => {
+            this._waypointIndex = targetIndex;
+            this.app.fire('camera:waypoint', {
+                index: targetIndex,
+                position: samples[samples.length - 1].clone(),
+                rotation: targetRot.clone(),
+                metadata: this._getMetadata(path, targetIndex)
+            });
+        });
+        this._addStep({
+            type: 'move',
+            tween,
+            duration,
+            easing: easingFn,
+            segmentIndex: Math.min(fromIndex, targetIndex),
+            startIndex: fromIndex,
+            endIndex: targetIndex,
+            lengths,
+            knots,
+            timeline
+        });
 
-        const last = this._tweens[this._tweens.length - 1];
-        last.onComplete(() => this._onSequenceComplete());
-        this._tweens[0].start();
+        // the step's timing replaces the last one, so listeners timing things along it start over
+        this.app.fire('camera:mover:step', { from: fromIndex, to: targetIndex });
+        this._playSequence();
+    }
+
+    getWaypointIndex() {
+        return this._waypointIndex;
     }
 
     stop(restore = true) {
-        for (let i = 0; i < this._tweens.length; i++) {
-            this._tweens[i].stop();
+        for (let i = 0; i < this._steps.length; i++) {
+            this._steps[i].tween.stop();
         }
-        this._tweens.length = 0;
+        this._steps.length = 0;
+        this._stepIndex = -1;
+        this._duration = 0;
         this._running = false;
+        this._paused = false;
+        this._pendingStep = false;
+        this._queuedIndex = -1;
+        this._tangentYaw = null;
+        this._lookYaw = 0;
+        this._lookPitch = 0;
+        this._lookIdleTime = Infinity;
 
         if (restore) {
+            this._settlePlayback(new CameraPlaybackError('playback was stopped', 'stopped'));
+            this._resumeControls();
             this.app.fire('camera:mover:stopped');
         }
     }
 
-    _onSequenceComplete() {
-        if (this.loop && this._lastPath) {
+    pause() {
+        if (!this._running || this._paused) return;
+        this._paused = true;
+        this._steps[this._stepIndex]?.tween.pause();
+        this.app.fire('camera:mover:paused', this._getProgressEvent());
+    }
+
+    resume() {
+        if (!this._running || !this._paused) return;
+        this._paused = false;
+        if (this._pendingStep) {
+            this._pendingStep = false;
+            this._startStep(this._stepIndex, 0);
+        } else {
+            this._steps[this._stepIndex]?.tween.resume();
+        }
+        this.app.fire('camera:mover:resumed', this._getProgressEvent());
+    }
+
+    isPaused() {
+        return this._paused;
+    }
+
+    isRunning() {
+        return this._running;
+    }
+
+    seekToProgress(progress) {
+        this._seek(Math.min(Math.max(progress, 0), 1) * this._duration);
+    }
+
+    seekToWaypoint(index) {
+        const time = this.getWaypointTime(index);
+        if (time !== null) {
+            this._seek(time);
+        }
+    }
+
+    // the playback time at which the camera reaches a waypoint, or null if the path misses it
+    getWaypointTime(index) {
+        for (let i = 0; i < this._steps.length; i++) {
+            const step = this._steps[i];
+            if (step.type === 'dwell') {
+                if (step.endIndex === index) return step.start;
+                continue;
+            }
+            // stepping back runs through the waypoints in reverse
+            const k = step.endIndex < step.startIndex ? step.startIndex - index : index - step.startIndex;
+            if (k < 0 || k >= step.knots.length) continue;
+            // prefer the dwell that starts when this step ends
+            const next = this._steps[i + 1];
+            if (k === step.knots.length - 1 && next?.type === 'dwell' && next.endIndex === index) {
+                return next.start;
+            }
+            const length = step.lengths[step.lengths.length - 1];
+            const fraction = step.timeline?.[k] ?? (length > 0 ? step.lengths[step.knots[k]] / length : 1);
+            return step.start + this._invertEasing(step.easing, fraction) * step.duration;
+        }
+        return null;
+    }
+
+    getProgress() {
+        return this._duration > 0 ? this._getElapsed() / this._duration : 0;
+    }
+
+    getDuration() {
+        return this._duration;
+    }
+
+    _seek(time) {
+        if (!this._steps.length) return;
+        // fired before the jump so listeners can tell it apart from the progress it causes
+        this.app.fire('camera:mover:seek', {
+            elapsed: time,
+            progress: this._duration > 0 ? time / this._duration : 0,
+            duration: this._duration
+        });
+        this._seekToTime(time);
+    }
+
+    _seekToTime(time) {
+        if (!this._steps.length) return;
+
+        let index = this._steps.length - 1;
+        for (let i = 0; i < this._steps.length; i++) {
+            const step = this._steps[i];
+            if (time < step.start + step.duration) {
+                index = i;
+                break;
+            }
+        }
+
+        const current = this._steps[this._stepIndex];
+        if (current) {
+            current.tween.stop();
+        }
+
+        const step = this._steps[index];
+        this._running = true;
+        this._pendingStep = false;
+        this._suspendControls();
+        this._startStep(index, Math.min(Math.max(time - step.start, 0), step.duration));
+        if (this._paused && this._stepIndex === index) {
+            step.tween.pause();
+        }
+    }
+
+    _startStep(index, offset) {
+        const step = this._steps[index];
+        this._stepIndex = index;
+        // a step that already ran would otherwise restart from its end value
+        step.tween.target.t = 0;
+        step.tween.start();
+        if (offset > 0) {
+            step.tween.time = offset;
+        }
+        // apply the pose for the start time straight away rather than on the next frame
+        step.tween.update(0);
+    }
+
+    _playSequence() {
+        if (!this._steps.length) {
+            this._finish();
+            return;
+        }
+        this._suspendControls();
+        this._startStep(0, 0);
+    }
+
+    _addStep(step) {
+        step.start = this._duration;
+        this._duration += step.duration;
+        this._steps.push(step);
+
+        step.tween.onUpdate(() => {
+            this.app.fire('camera:progress', this._getProgressEvent());
+        });
+        step.tween.onComplete((extra) => this._onStepComplete(step, extra));
+    }
+
+    _addDwell(target, source, segmentIndex, index, position, rotation, duration) {
+        this._addStep({
+            type: 'dwell',
+            tween: this._createDwellTween(target, source, index, position, rotation, duration),
+            duration,
+            segmentIndex,
+            startIndex: index,
+            endIndex: index
+        });
+    }
+
+    _onStepComplete(step, extra = 0) {
+        const index = this._steps.indexOf(step);
+        if (index === -1 || index !== this._stepIndex) return;
+
+        if (index + 1 >= this._steps.length) {
+            this._onSequenceComplete(extra);
+            return;
+        }
+
+        if (this._paused) {
+            // paused from a waypoint handler: hold here and start the next step on resume
+            this._stepIndex = index + 1;
+            this._pendingStep = true;
+            return;
+        }
+        // carry the time that overshot this step into the next one so motion stays continuous
+        this._startStep(index + 1, extra);
+    }
+
+    _getElapsed() {
+        const step = this._steps[this._stepIndex];
+        if (!step) return 0;
+        if (this._pendingStep) return step.start;
+        return step.start + Math.min(Math.max(step.tween.time, 0), step.duration);
+    }
+
+    _getSpeed() {
+        const step = this._steps[this._stepIndex];
+        if (!this._running || this._paused || this._pendingStep || step?.type !== 'move') return 0;
+
+        // distance covered over the last frame's worth of the step
+        const time = Math.min(Math.max(step.tween.time, 0), step.duration);
+        const before = Math.max(time - 1 / 60, 0);
+        if (time <= before) return 0;
+        const distanceAt = (t) => this._distanceAtTime(step.lengths, step.knots, step.timeline, step.easing(t / step.duration));
+        return (distanceAt(time) - distanceAt(before)) / (time - before);
+    }
+
+    _getProgressEvent() {
+        const step = this._steps[this._stepIndex];
+        const elapsed = this._getElapsed();
+        return {
+            segmentIndex: step?.segmentIndex ?? 0,
+            waypointIndex: step ? this._getWaypointIndex(step) : 0,
+            progress: this._duration > 0 ? elapsed / this._duration : 0,
+            elapsed,
+            remaining: Math.max(this._duration - elapsed, 0),
+            duration: this._duration
+        };
+    }
+
+    _getWaypointIndex(step) {
+        if (this._pendingStep) return step.startIndex;
+        if (step.type === 'dwell') return step.endIndex;
+
+        // index of the last waypoint the camera has passed
+        const time = step.duration > 0 ? Math.min(Math.max(step.tween.time / step.duration, 0), 1) : 1;
+        const distance = this._distanceAtTime(step.lengths, step.knots, step.timeline, step.easing(time));
+        let k = 0;
+        while (k + 1 < step.knots.length && step.lengths[step.knots[k + 1]] <= distance) {
+            k++;
+        }
+        return step.startIndex + k;
+    }
+
+    _invertEasing(easingFn, value) {
+        // back, elastic and bounce easings overshoot and come back, so find the first sampled
+        // interval that reaches the value and bisect inside it
+        const count = 64;
+        let lo = 0;
+        let hi = 1;
+        for (let i = 1; i <= count; i++) {
+            if (easingFn(i / count) >= value) {
+                lo = (i - 1) / count;
+                hi = i / count;
+                break;
+            }
+        }
+        if (easingFn(lo) >= value) return lo;
+        for (let i = 0; i < 24; i++) {
+            const mid = (lo + hi) * 0.5;
+            if (easingFn(mid) < value) {
+                lo = mid;
+            } else {
+                hi = mid;
+            }
+        }
+        return hi;
+    }
+
+    _startStepped(path) {
+        this.stop(false);
+        this._lastPath = path;
+        this._waypointIndex = 0;
+        this._queuedIndex = -1;
+
+        const target = this.targetEntity || this.entity;
+        const rot = this._resolveRotation(path, 0, target.getLocalRotation());
+        this._suspendControls();
+        target.setLocalPosition(path.positions[0]);
+        target.setLocalRotation(rot);
+        this._resumeControls();
+        this.app.fire('camera:waypoint', {
+            index: 0,
+            position: path.positions[0].clone(),
+            rotation: rot.clone(),
+            metadata: this._getMetadata(path, 0)
+        });
+    }
+
+    _getStepBase() {
+        // relative steps count from wherever the camera is heading
+        if (this._queuedIndex !== -1) return this._queuedIndex;
+        return this._running ? this._moveTargetIndex : this._waypointIndex;
+    }
+
+    _collectSpanSamples(path, fromIndex, toIndex) {
+        const first = Math.min(fromIndex, toIndex);
+        const last = Math.max(fromIndex, toIndex);
+        const samples = [];
+        const knots = [0];
+        for (let k = first; k < last; k++) {
+            const segment = path.segments.find((seg) => seg.startIndex <= k && k < seg.endIndex);
+            if (!segment?.knots) return { samples: [], knots: [] };
+            const local = k - segment.startIndex;
+            const from = segment.knots[local];
+            const to = segment.knots[local + 1];
+            // neighbouring spans share their joining sample
+            for (let i = samples.length ? from + 1 : from; i <= to; i++) {
+                samples.push(segment.samples[i]);
+            }
+            knots.push(samples.length - 1);
+        }
+        if (fromIndex < toIndex) return { samples, knots };
+
+        // going back, the knots mirror onto the reversed samples
+        const end = samples.length - 1;
+        return {
+            samples: samples.reverse(),
+            knots: knots.map((knot) => end - knot).reverse()
+        };
+    }
+
+    _onSequenceComplete(extra = 0) {
+        if (this.movementMode === 'stepped' && !this._once) {
+            this._running = false;
+            const queued = this._queuedIndex;
+            this._queuedIndex = -1;
+            if (queued !== -1 && queued !== this._waypointIndex) {
+                this.goTo(queued);
+                return;
+            }
+            this._resumeControls();
+            if (this._waypointIndex === (this._lastPath?.positions?.length ?? 0) - 1) {
+                this._settlePlayback(null, { route: this._route });
+                this.app.fire('camera:path:complete', { route: this._route });
+            }
+            return;
+        }
+        if (this.loop && this._lastPath && !this._once) {
+            if (this._playback) {
+                // the loop may restart a different path than the one played, e.g. after join()
+                this._playback.path = this._lastPath;
+            }
             this.start(this._lastPath);
+            if (extra > 0 && this._running) {
+                this._seekToTime(extra);
+            }
             return;
         }
         this._finish();
@@ -225,19 +975,110 @@ class CameraMover extends Script {
 
     _finish() {
         this._running = false;
-        this.app.fire('camera:path:complete');
+        this._resumeControls();
+        this._settlePlayback(null, { route: this._route });
+        this.app.fire('camera:path:complete', { route: this._route });
+    }
+
+    _replacePlayback(path) {
+        // restarting the same path, e.g. on loop, keeps the playback going
+        if (this._playback && this._playback.path !== path) {
+            this._settlePlayback(new CameraPlaybackError('playback was replaced by another path', 'replaced'));
+        }
+    }
+
+    _settlePlayback(error, result) {
+        const playback = this._playback;
+        if (!playback) return;
+        this._playback = null;
+        if (error) {
+            playback.reject(error);
+        } else {
+            playback.resolve(result);
+        }
+    }
+
+    _getControls() {
+        const entity = this.controlsEntity || this.targetEntity || this.entity;
+        return entity?.script?.[this.controlsScriptName] ?? null;
+    }
+
+    _suspendControls() {
+        if (!this.handOffControls || this._controls) return;
+        const controls = this._getControls();
+        if (!controls || controls.suspended) return;
+        controls.suspended = true;
+        controls.on('input', this._onControlsInput, this);
+        this._controls = controls;
+    }
+
+    _resumeControls() {
+        const controls = this._controls;
+        if (!controls) return;
+        this._controls = null;
+        controls.off('input', this._onControlsInput, this);
+
+        // re-seed the controls from where the camera ended up so free navigation carries on
+        // from here instead of jumping back to the pose it had before playback
+        const target = this.targetEntity || this.entity;
+        const position = tmpV1.copy(target.getPosition());
+        const focus = tmpV2.copy(target.forward).mulScalar(this.handOffFocusDistance).add(position);
+        controls.suspended = false;
+        controls.reset(focus, position, false);
+    }
+
+    _onControlsInput(event) {
+        if (!this._running) return;
+
+        const { source, rotate } = event;
+        switch (this.interruptMode) {
+            case 'abort': {
+                this._settlePlayback(new CameraPlaybackError('playback was interrupted by user input', 'interrupted'));
+                this.stop();
+                break;
+            }
+            case 'pause': {
+                if (this._paused) return;
+                this.pause();
+                break;
+            }
+            case 'look': {
+                // only report the start of a look-around gesture, not every frame of it
+                const idle = this._lookIdleTime > 0.25;
+                this._lookYaw -= rotate[0];
+                this._lookPitch = math.clamp(this._lookPitch - rotate[1], -80, 80);
+                this._lookIdleTime = 0;
+                if (!idle) return;
+                break;
+            }
+            default:
+                return;
+        }
+
+        this.app.fire('camera:tour:interrupted', {
+            source,
+            action: this.interruptMode
+        });
     }
 
-    _createLinearTween(target, fromPos, toPos, fromRot, toRot, duration, easingFn) {
+    _applyLookOffset(rot) {
+        if (this._lookYaw === 0 && this._lookPitch === 0) return rot;
+        tmpQ1.setFromEulerAngles(this._lookPitch, this._lookYaw, 0);
+        return rot.mul(tmpQ1);
+    }
+
+    _createLinearTween(target, fromPos, toPos, orientation, duration, easingFn) {
         const state = { t: 0 };
         const pos = new Vec3();
         const rot = new Quat();
         const app = /** @type {any} */ (this.app);
 
+        const distance = fromPos.distance(toPos);
         const tween = app.tween(state).to({ t: 1 }, duration, easingFn);
-        tween.onUpdate(() => {
+        tween.onUpdate((dt) => {
             pos.lerp(fromPos, toPos, state.t);
-            rot.slerp(fromRot, toRot, state.t);
+            this._orient(orientation, pos, state.t, state.t * distance, dt, rot);
+            this._applyLookOffset(rot);
             target.setLocalPosition(pos);
             target.setLocalRotation(rot);
         });
@@ -245,22 +1086,66 @@ class CameraMover extends Script {
         return tween;
     }
 
-    _createCurveTween(target, samples, fromRot, toRot, duration, easingFn) {
+    _getRouteEntry(name) {
+        let entry = this._routes.get(name);
+        if (!entry) {
+            entry = { waypoints: null, path: null };
+            this._routes.set(name, entry);
+        }
+        return entry;
+    }
+
+    _getMetadata(source, index) {
+        return source?.metadata?.[index] ?? {};
+    }
+
+    _createDwellTween(target, source, index, position, rotation, duration) {
+        const state = { t: 0 };
+        const pos = position.clone();
+        const rot = rotation.clone();
+        const out = new Quat();
+        const app = /** @type {any} */ (this.app);
+        const event = {
+            index,
+            duration,
+            position: pos,
+            rotation: rot,
+            metadata: this._getMetadata(source, index)
+        };
+
+        let started = false;
+        const tween = app.tween(state).to({ t: 1 }, duration, Linear);
+        tween.onUpdate(() => {
+            if (!started) {
+                started = true;
+                this.app.fire('camera:waypoint:dwell:start', event);
+            }
+            // keep aiming at look-at entities that move while the camera holds still
+            if (this._getLookPoint(source, index, tmpV1)) {
+                this._lookRotation(pos, tmpV1, rot);
+            }
+            target.setLocalPosition(pos);
+            target.setLocalRotation(this._applyLookOffset(out.copy(rot)));
+        });
+        tween.onComplete(() => {
+            this.app.fire('camera:waypoint:dwell:end', event);
+        });
+
+        return tween;
+    }
+
+    _createCurveTween(target, samples, lengths, knots, timeline, orientation, duration, easingFn) {
         const state = { t: 0 };
         const pos = new Vec3();
         const rot = new Quat();
         const app = /** @type {any} */ (this.app);
 
-        const totalSegments = Math.max(1, samples.length - 1);
         const tween = app.tween(state).to({ t: 1 }, duration, easingFn);
-        tween.onUpdate(() => {
-            const scaled = Math.min(state.t, 1) * totalSegments;
-            const index = Math.floor(scaled);
-            const blend = scaled - index;
-            const from = samples[index];
-            const to = samples[Math.min(index + 1, totalSegments)];
-            pos.lerp(from, to, blend);
-            rot.slerp(fromRot, toRot, state.t);
+        tween.onUpdate((dt) => {
+            const distance = this._distanceAtTime(lengths, knots, timeline, state.t);
+            this._sampleAtDistance(samples, lengths, distance, pos);
+            this._orient(orientation, pos, state.t, distance, dt, rot);
+            this._applyLookOffset(rot);
             target.setLocalPosition(pos);
             target.setLocalRotation(rot);
         });
@@ -268,7 +1153,185 @@ class CameraMover extends Script {
         return tween;
     }
 
+    _getTiming(source, indices, lengths, knots) {
+        // each leg between waypoints runs at the speed or for the duration of the waypoint it
+        // arrives at, falling back to durationPerUnit
+        const waypoints = Array.isArray(indices)
+            ? indices
+            : knots.map((_, k) => indices + k);
+        const times = [0];
+        for (let k = 1; k < knots.length; k++) {
+            const length = lengths[knots[k]] - lengths[knots[k - 1]];
+            const meta = this._getMetadata(source, waypoints[k]);
+            const time = meta.duration ?? (meta.speed ? length / meta.speed : length * this.durationPerUnit);
+            times.push(times[k - 1] + time);
+        }
+
+        const total = times[times.length - 1];
+        return {
+            duration: Math.max(total, this.minDuration),
+            timeline: total > 0 ? times.map((time) => time / total) : null
+        };
+    }
+
+    _distanceAtTime(lengths, knots, timeline, t) {
+        const total = lengths[lengths.length - 1];
+        const time = math.clamp(t, 0, 1);
+        if (!timeline) return time * total;
+
+        // piecewise linear from the share of time spent on each leg to distance along the step
+        let k = 0;
+        while (k + 2 < timeline.length && timeline[k + 1] <= time) {
+            k++;
+        }
+        const span = timeline[k + 1] - timeline[k];
+        const u = span > 0 ? math.clamp((time - timeline[k]) / span, 0, 1) : 1;
+        return math.lerp(lengths[knots[k]], lengths[knots[k + 1]], u);
+    }
+
+    _sampleAtDistance(samples, lengths, distance, out) {
+        const last = samples.length - 1;
+        if (distance <= 0 || last < 1) return out.copy(samples[0]);
+        if (distance >= lengths[last]) return out.copy(samples[last]);
+
+        // binary search for the span containing the distance
+        let lo = 0;
+        let hi = last;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) >> 1;
+            if (lengths[mid] <= distance) {
+                lo = mid;
+            } else {
+                hi = mid;
+            }
+        }
+        const span = lengths[hi] - lengths[lo];
+        const blend = span > 0 ? (distance - lengths[lo]) / span : 0;
+        return out.lerp(samples[lo], samples[hi], blend);
+    }
+
+    _createOrientation(source, indices, samples, lengths, knots, fromRot, toRot) {
+        // indices may be the first waypoint of a run of consecutive waypoints
+        const waypoints = Array.isArray(indices)
+            ? indices
+            : knots.map((_, k) => indices + k);
+        return {
+            source,
+            waypoints,
+            samples,
+            lengths,
+            knotLengths: knots.map((k) => lengths[k]),
+            fromRot: fromRot.clone(),
+            toRot: toRot.clone()
+        };
+    }
+
+    _orient(orientation, pos, t, distance, dt, out) {
+        out.slerp(orientation.fromRot, orientation.toRot, t);
+
+        const { source, waypoints, knotLengths } = orientation;
+        let k = 0;
+        while (k + 2 < knotLengths.length && knotLengths[k + 1] <= distance) {
+            k++;
+        }
+        const hasFrom = this._getLookPoint(source, waypoints[k], lookFrom);
+        const hasTo = this._getLookPoint(source, waypoints[k + 1], lookTo);
+        if (hasFrom || hasTo) {
+            // blend between the look-at orientations of the waypoints either side of the camera,
+            // falling back to the authored rotation where a waypoint has no look-at target
+            const span = knotLengths[k + 1] - knotLengths[k];
+            const u = span > 0 ? math.clamp((distance - knotLengths[k]) / span, 0, 1) : 1;
+            tmpQ1.copy(out);
+            tmpQ2.copy(out);
+            if (hasFrom) this._lookRotation(pos, lookFrom, tmpQ1);
+            if (hasTo) this._lookRotation(pos, lookTo, tmpQ2);
+            out.slerp(tmpQ1, tmpQ2, u);
+        }
+
+        if (this.orientationMode === 'tangent') {
+            this._orientToTangent(orientation, distance, dt, out);
+        }
+        return out;
+    }
+
+    _orientToTangent(orientation, distance, dt, out) {
+        const { samples, lengths } = orientation;
+        const total = lengths[lengths.length - 1];
+        if (total < EPSILON) return out;
+
+        // heading along a chord of the look-ahead length, pulled back near the end of the curve
+        const ahead = math.clamp(this.lookAheadDistance, EPSILON, total);
+        const from = Math.min(distance, total - ahead);
+        this._sampleAtDistance(samples, lengths, from, tmpV1);
+        this._sampleAtDistance(samples, lengths, from + ahead, tmpV2);
+        const dir = tmpV2.sub(tmpV1);
+        const horizontal = Math.sqrt(dir.x * dir.x + dir.z * dir.z);
+
+        const yaw = horizontal > EPSILON ? Math.atan2(-dir.x, -dir.z) * math.RAD_TO_DEG : (this._tangentYaw ?? 0);
+        const pitch = this.pitchLock ? 0 : Math.atan2(dir.y, horizontal) * math.RAD_TO_DEG;
+        if (this._tangentYaw === null || !dt) {
+            // snap on the first frame and when seeking
+            this._tangentYaw = yaw;
+        } else {
+            const delta = ((((yaw - this._tangentYaw) % 360) + 540) % 360) - 180;
+            this._tangentYaw += delta * (1 - Math.pow(this.yawSmoothing, dt * 1000));
+        }
+        tmpQ1.setFromEulerAngles(pitch, this._tangentYaw, 0);
+
+        // ease out of the authored rotation when leaving a stop and back into it on approach
+        let weight = 1;
+        if (this.stopBlendDistance > 0) {
+            weight = math.clamp(Math.min(distance, total - distance) / this.stopBlendDistance, 0, 1);
+            weight = weight * weight * (3 - 2 * weight);
+        }
+        tmpQ2.copy(out);
+        return out.slerp(tmpQ2, tmpQ1, weight);
+    }
+
+    _getLookPoint(source, index, out) {
+        const name = source?.lookAtEntities?.[index];
+        if (name) {
+            const entity = this._findLookEntity(name);
+            if (entity) {
+                out.copy(entity.getPosition());
+                // the camera is driven in local space, so bring the world position into it
+                const parent = (this.targetEntity || this.entity).parent;
+                if (parent) {
+                    tmpM1.copy(parent.getWorldTransform()).invert().transformPoint(out, out);
+                }
+                return true;
+            }
+        }
+        const point = source?.lookAts?.[index];
+        if (point) {
+            out.copy(point);
+            return true;
+        }
+        return false;
+    }
+
+    _findLookEntity(name) {
+        let entity = this._lookEntities.get(name);
+        if (!entity?.parent) {
+            entity = this.app.root.findByName(name);
+            if (entity) {
+                this._lookEntities.set(name, entity);
+            }
+        }
+        return entity;
+    }
+
+    _lookRotation(from, to, out) {
+        if (from.distance(to) < EPSILON) return out;
+        tmpM1.setLookAt(from, to, Vec3.UP);
+        return out.setFromMat4(tmpM1);
+    }
+
     _resolveRotation(path, endIndex, fallbackRot) {
+        const position = path.positions?.[endIndex];
+        if (position && this._getLookPoint(path, endIndex, tmpV1)) {
+            return this._lookRotation(position, tmpV1, fallbackRot.clone());
+        }
         if (!this.useRotations) return fallbackRot.clone();
         const rot = path.rotations?.[endIndex];
         if (!rot) return fallbackRot.clone();
@@ -287,25 +1350,17 @@ class CameraMover extends Script {
         return new Quat();
     }
 
-    _chainLength(points) {
-        let distance = 0;
+    _cumulativeLengths(points) {
+        const lengths = [0];
         for (let i = 1; i < points.length; i++) {
-            distance += points[i].distance(points[i - 1]);
+            lengths.push(lengths[i - 1] + points[i].distance(points[i - 1]));
         }
-        return distance;
+        return lengths;
     }
 
-    _getEasing() {
-        const easingMap = {
-            Linear,
-            SineInOut,
-            QuadraticInOut,
-            CubicInOut,
-            QuarticInOut,
-            QuinticInOut
-        };
-        return easingMap[this.easing] || SineInOut;
+    _getEasing(name = this.easing) {
+        return EASINGS[name] || EASINGS[this.easing] || SineInOut;
     }
 }
 
-export { CameraMover };
+export { CameraMover, CameraPlaybackError };
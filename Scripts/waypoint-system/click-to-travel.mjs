@@ -0,0 +1,290 @@
+import {
+    math,
+    Ray,
+    Script,
+    Vec3
+} from 'playcanvas';
+
+const TRAVEL_ROUTE = 'travel';
+const CLICK_TIME = 0.3;
+const CLICK_DISTANCE = 8;
+
+const tmpV1 = new Vec3();
+const tmpV2 = new Vec3();
+const tmpRay = new Ray();
+
+class ClickToTravel extends Script {
+    static scriptName = 'clickToTravel';
+    static attributes = {
+        cameraEntity: {
+            type: 'entity',
+            title: 'Camera Entity'
+        },
+        builderEntity: {
+            type: 'entity',
+            title: 'Path Builder Entity'
+        },
+        moverEntity: {
+            type: 'entity',
+            title: 'Camera Mover Entity'
+        },
+        eyeHeight: {
+            type: 'number',
+            title: 'Eye Height',
+            default: 1.5
+        },
+        floorTag: {
+            type: 'string',
+            title: 'Floor Tag',
+            default: ''
+        },
+        minFloorNormal: {
+            type: 'number',
+            title: 'Min Floor Normal Y',
+            default: 0.7
+        },
+        maxDistance: {
+            type: 'number',
+            title: 'Max Distance',
+            default: 50
+        },
+        speed: {
+            type: 'number',
+            title: 'Travel Speed',
+            default: 0
+        },
+        doubleClick: {
+            type: 'boolean',
+            title: 'Double Click',
+            default: true
+        }
+    };
+
+    cameraEntity = null;
+    builderEntity = null;
+    moverEntity = null;
+    eyeHeight = 1.5;
+    floorTag = '';
+    minFloorNormal = 0.7;
+    maxDistance = 50;
+    speed = 0;
+    doubleClick = true;
+
+    _hover = null;
+    _hoverPoint = null;
+    _lastClick = null;
+    _touchStart = null;
+    _travelling = null;
+    _boundOnMouseMove = null;
+    _boundOnMouseDown = null;
+    _boundOnTouchStart = null;
+    _boundOnTouchEnd = null;
+    _boundOnComplete = null;
+
+    initialize() {
+        this._boundOnMouseMove = (event) => {
+            this._hoverPoint = { x: event.x, y: event.y };
+        };
+        this._boundOnMouseDown = (event) => {
+            if (event.button !== 0) return;
+            this._onClick(event.x, event.y, performance.now() / 1000);
+        };
+        this._boundOnTouchStart = (event) => {
+            const touch = event.changedTouches[0];
+            this._touchStart = event.touches.length === 1 && touch ?
+                { x: touch.x, y: touch.y, time: performance.now() / 1000 } : null;
+        };
+        // a quick tap without dragging travels, anything else is left to the camera controls
+        this._boundOnTouchEnd = (event) => {
+            const start = this._touchStart;
+            const touch = event.changedTouches[0];
+            this._touchStart = null;
+            if (!start || !touch || event.touches.length) return;
+            const moved = Math.hypot(touch.x - start.x, touch.y - start.y);
+            if (moved <= CLICK_DISTANCE && performance.now() / 1000 - start.time <= CLICK_TIME) {
+                this.travelToScreenPoint(touch.x, touch.y);
+            }
+        };
+        this._boundOnComplete = (data) => {
+            if (data?.route !== TRAVEL_ROUTE || !this._travelling) return;
+            const arrived = this._travelling;
+            this._travelling = null;
+            this.app.fire('travel:arrived', arrived);
+        };
+
+        this.app.mouse?.on('mousemove', this._boundOnMouseMove);
+        this.app.mouse?.on('mousedown', this._boundOnMouseDown);
+        this.app.touch?.on('touchstart', this._boundOnTouchStart);
+        this.app.touch?.on('touchend', this._boundOnTouchEnd);
+        this.app.on('camera:path:complete', this._boundOnComplete);
+    }
+
+    destroy() {
+        this.app.mouse?.off('mousemove', this._boundOnMouseMove);
+        this.app.mouse?.off('mousedown', this._boundOnMouseDown);
+        this.app.touch?.off('touchstart', this._boundOnTouchStart);
+        this.app.touch?.off('touchend', this._boundOnTouchEnd);
+        if (this._boundOnComplete) {
+            this.app.off('camera:path:complete', this._boundOnComplete);
+        }
+    }
+
+    update() {
+        // picking can scan every render component, so hover picks once a frame at the latest
+        // pointer position rather than on every mouse move
+        const point = this._hoverPoint;
+        if (!point) return;
+        this._hoverPoint = null;
+        this._updateHover(point.x, point.y);
+    }
+
+    pick(x, y) {
+        const camera = this._getCamera();
+        if (!camera) return null;
+
+        camera.screenToWorld(x, y, camera.nearClip, tmpRay.origin);
+        camera.screenToWorld(x, y, camera.farClip, tmpRay.direction);
+        tmpRay.direction.sub(tmpRay.origin).normalize();
+
+        const hit = this._raycast(tmpRay);
+        if (!hit) return null;
+
+        const distance = hit.point.distance(camera.entity.getPosition());
+        const valid = hit.normal.y >= this.minFloorNormal && distance <= this.maxDistance;
+        return { point: hit.point, normal: hit.normal, entity: hit.entity, distance, valid };
+    }
+
+    travelToScreenPoint(x, y) {
+        const hit = this.pick(x, y);
+        if (!hit?.valid) return false;
+        return this.travelTo(hit.point);
+    }
+
+    travelTo(point) {
+        const mover = this._getScript(this.moverEntity, 'cameraMover');
+        if (!mover) return false;
+
+        // never take over a running tour, only an earlier trip
+        if (mover.isRunning() && mover.getRoute() !== TRAVEL_ROUTE) return false;
+
+        const camera = mover.targetEntity || mover.entity;
+        const from = camera.getLocalPosition().clone();
+        const to = new Vec3(point.x, point.y + this.eyeHeight, point.z);
+        if (from.distance(to) < 1e-3) return false;
+
+        const route = this._createRoute(from, to, camera.getLocalEulerAngles());
+        this._travelling = { from, to, point: point.clone() };
+        this.app.fire('travel:start', this._travelling);
+
+        const builder = this._getScript(this.builderEntity, 'waypointPathBuilder');
+        const path = builder?.buildRoute(route);
+        if (path) {
+            mover.start(path, { once: true });
+        } else {
+            mover.startFromWaypoints(route, { once: true });
+        }
+        return true;
+    }
+
+    _onClick(x, y, time) {
+        const last = this._lastClick;
+        if (!this.doubleClick) {
+            this.travelToScreenPoint(x, y);
+            return;
+        }
+        if (last && time - last.time <= CLICK_TIME && Math.hypot(x - last.x, y - last.y) <= CLICK_DISTANCE) {
+            this._lastClick = null;
+            this.travelToScreenPoint(x, y);
+            return;
+        }
+        this._lastClick = { x, y, time };
+    }
+
+    _updateHover(x, y) {
+        const hit = this.pick(x, y);
+        if (!hit && !this._hover) return;
+        this._hover = hit;
+        // the UI draws its target marker from this, a null hit means hide it
+        this.app.fire('travel:hover', hit);
+    }
+
+    _createRoute(from, to, euler) {
+        // face the direction of travel on arrival, level with the horizon
+        const dir = tmpV1.sub2(to, from);
+        const yaw = Math.hypot(dir.x, dir.z) > 1e-3 ? Math.atan2(-dir.x, -dir.z) * math.RAD_TO_DEG : euler.y;
+        const end = new Vec3(0, yaw, 0);
+
+        // a point halfway at the arrival height lets the curve ease down from a raised camera
+        const mid = new Vec3().lerp(from, to, 0.5);
+        mid.y = to.y;
+        const positions = Math.abs(from.y - to.y) > 1e-3 ? [from, mid, to] : [from, to];
+        const rotations = positions.length === 3 ? [euler.clone(), null, end] : [euler.clone(), end];
+        const meta = this.speed > 0 ? { speed: this.speed } : {};
+
+        return {
+            positions,
+            rotations,
+            pauses: positions.map(() => 0),
+            lookAts: positions.map(() => null),
+            lookAtEntities: positions.map(() => null),
+            metadata: positions.map(() => ({ ...meta })),
+            route: TRAVEL_ROUTE,
+            closed: false
+        };
+    }
+
+    _raycast(ray) {
+        const end = tmpV2.copy(ray.direction).mulScalar(this._getCamera().farClip).add(ray.origin);
+        const rigidbody = this.app.systems?.rigidbody;
+        const options = this.floorTag ? { filterTags: [this.floorTag] } : {};
+        const result = rigidbody?.raycastFirst(ray.origin, end, options);
+        if (result) {
+            return { point: result.point.clone(), normal: result.normal.clone(), entity: result.entity };
+        }
+
+        // without physics fall back to the bounds of the render meshes, which suits box-shaped rooms
+        const renders = this.floorTag ?
+            this.app.root.findByTag(this.floorTag).map((entity) => entity.render).filter(Boolean) :
+            this.app.root.findComponents('render');
+        let best = null;
+        const point = new Vec3();
+        renders.forEach((render) => {
+            if (!render.enabled || !render.entity.enabled) return;
+            render.meshInstances.forEach((meshInstance) => {
+                const aabb = meshInstance.aabb;
+                if (!aabb.intersectsRay(ray, point)) return;
+                const distance = point.distance(ray.origin);
+                if (!best || distance < best.distance) {
+                    best = { point: point.clone(), normal: this._boxNormal(aabb, point), entity: render.entity, distance };
+                }
+            });
+        });
+        return best;
+    }
+
+    _boxNormal(aabb, point) {
+        // the face whose plane the point lies closest to
+        const local = tmpV1.sub2(point, aabb.center);
+        const { halfExtents } = aabb;
+        const dx = Math.abs(Math.abs(local.x) - halfExtents.x);
+        const dy = Math.abs(Math.abs(local.y) - halfExtents.y);
+        const dz = Math.abs(Math.abs(local.z) - halfExtents.z);
+        if (dy <= dx && dy <= dz) return new Vec3(0, Math.sign(local.y) || 1, 0);
+        if (dx <= dz) return new Vec3(Math.sign(local.x) || 1, 0, 0);
+        return new Vec3(0, 0, Math.sign(local.z) || 1);
+    }
+
+    _getCamera() {
+        if (this.cameraEntity?.camera) return this.cameraEntity.camera;
+        const mover = this._getScript(this.moverEntity, 'cameraMover');
+        const target = mover?.targetEntity || this.entity;
+        return target?.camera ?? null;
+    }
+
+    _getScript(entity, scriptName) {
+        const target = entity || this.entity;
+        return target?.script?.[scriptName] ?? null;
+    }
+}
+
+export { ClickToTravel };
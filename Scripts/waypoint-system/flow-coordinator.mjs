@@ -1,7 +1,14 @@
 import {
+    math,
+    Color,
     Script
 } from 'playcanvas';
 
+const ACTION_TYPES = new Set(['caption', 'wait', 'waitForClick', 'audio', 'visibility', 'lighting', 'event', 'branch']);
+const BRANCH_ROUTE = 'branch';
+const TAP_TIME = 0.3;
+const TAP_DISTANCE = 8;
+
 class FlowCoordinator extends Script {
     static scriptName = 'flowCoordinator';
     static attributes = {
@@ -18,34 +25,824 @@ class FlowCoordinator extends Script {
             type: 'string',
             title: 'UI Method Name',
             default: 'showWaypoint'
+        },
+        moverEntity: {
+            type: 'entity',
+            title: 'Camera Mover Entity'
+        },
+        builderEntity: {
+            type: 'entity',
+            title: 'Path Builder Entity'
+        },
+        tourAsset: {
+            type: 'asset',
+            title: 'Tour Script Asset (JSON)',
+            default: null
+        },
+        tourUrl: {
+            type: 'string',
+            title: 'Tour Script URL',
+            default: ''
         }
     };
 
     uiEntity = null;
     uiScriptName = '';
     uiMethodName = 'showWaypoint';
+    moverEntity = null;
+    builderEntity = null;
+    tourAsset = null;
+    tourUrl = '';
 
+    _tour = null;
+    _run = null;
+    _pendingComplete = null;
+    _lastIndex = -1;
+    _passedStop = null;
+    _choice = null;
+    _chosen = null;
+    _cues = [];
+    _cuePath = null;
+    _cueTime = -1;
+    _activeCues = [];
+    _steppingBack = false;
     _boundOnWaypoint = null;
+    _boundOnProgress = null;
     _boundOnComplete = null;
+    _boundOnStopped = null;
+    _boundOnChoose = null;
+    _boundOnSeek = null;
+    _boundOnStep = null;
+    _boundOnPaused = null;
+    _boundOnResumed = null;
 
     initialize() {
         this._boundOnWaypoint = (data) => {
             this._showWaypoint(data);
+            // the camera stopped on the waypoint by itself, so there is nothing to step back to
+            if (this._passedStop?.index === data.index) {
+                this._passedStop = null;
+            }
+            this._runStop(data);
+        };
+        this._boundOnProgress = (event) => {
+            this._updateCues(event);
+            this._onProgress(event);
         };
-        this._boundOnComplete = () => {
-            this.app.fire('flow:complete');
+        this._boundOnComplete = (data) => {
+            this._lastIndex = -1;
+            this._chosen = null;
+            // playback is over, but narration already under way is left to finish
+            this._cuePath = null;
+            this._activeCues.filter((active) => !active.instance).forEach((active) => this._endCue(active));
+            // the last stop may still be running its actions
+            if (this._run) {
+                this._pendingComplete = data ?? {};
+                return;
+            }
+            this.app.fire('flow:complete', data);
+        };
+        this._boundOnStopped = () => {
+            this._lastIndex = -1;
+            this._passedStop = null;
+            this._chosen = null;
+            this._cancelRun();
+            this._cancelChoice();
+            this._cuePath = null;
+            this._endCues();
+        };
+        this._boundOnChoose = (value) => {
+            this.choose(value);
+        };
+        this._boundOnStep = () => {
+            // each stepped move has its own timeline, starting at the waypoint whose cues already fired
+            const mover = this._getMover();
+            this._endCues();
+            this._cuePath = mover?.getPath() ?? null;
+            this._cues = this._tour?.cues.length && this._cuePath ? this._resolveCues(mover, true) : [];
+            this._cueTime = 0;
+        };
+        this._boundOnSeek = (event) => {
+            // the cues of the frame that is played again have already fired
+            if (this._steppingBack) {
+                this._cueTime = Math.min(this._cueTime, event.elapsed);
+                return;
+            }
+            this._seekCues(event.elapsed);
+        };
+        this._boundOnPaused = () => {
+            this._activeCues.forEach((active) => active.instance?.pause());
+        };
+        this._boundOnResumed = () => {
+            this._activeCues.forEach((active) => active.instance?.resume());
         };
         this.app.on('camera:waypoint', this._boundOnWaypoint);
+        this.app.on('camera:progress', this._boundOnProgress);
         this.app.on('camera:path:complete', this._boundOnComplete);
+        this.app.on('camera:mover:stopped', this._boundOnStopped);
+        this.app.on('flow:choose', this._boundOnChoose);
+        this.app.on('camera:mover:seek', this._boundOnSeek);
+        this.app.on('camera:mover:step', this._boundOnStep);
+        this.app.on('camera:mover:paused', this._boundOnPaused);
+        this.app.on('camera:mover:resumed', this._boundOnResumed);
+
+        if (this.tourUrl) {
+            this._loadTourFromUrl(this.tourUrl);
+        } else if (this.tourAsset) {
+            this._loadTourFromAsset(this.tourAsset);
+        }
     }
 
     destroy() {
+        this._cancelRun();
         if (this._boundOnWaypoint) {
             this.app.off('camera:waypoint', this._boundOnWaypoint);
         }
+        if (this._boundOnProgress) {
+            this.app.off('camera:progress', this._boundOnProgress);
+        }
         if (this._boundOnComplete) {
             this.app.off('camera:path:complete', this._boundOnComplete);
         }
+        if (this._boundOnStopped) {
+            this.app.off('camera:mover:stopped', this._boundOnStopped);
+        }
+        if (this._boundOnChoose) {
+            this.app.off('flow:choose', this._boundOnChoose);
+        }
+        if (this._boundOnSeek) {
+            this.app.off('camera:mover:seek', this._boundOnSeek);
+            this.app.off('camera:mover:step', this._boundOnStep);
+            this.app.off('camera:mover:paused', this._boundOnPaused);
+            this.app.off('camera:mover:resumed', this._boundOnResumed);
+        }
+        this._endCues();
+    }
+
+    update() {
+        const data = this._passedStop;
+        if (!data) return;
+
+        // step back onto the waypoint the camera passed a frame ago, then run its actions
+        this._passedStop = null;
+        const cueTime = this._cueTime;
+        this._steppingBack = true;
+        this._getMover()?.seekToWaypoint(data.index);
+        this._steppingBack = false;
+        this._cueTime = Math.max(cueTime, this._cueTime);
+        this._runStop(data);
+    }
+
+    loadTour(tour) {
+        const parsed = typeof tour === 'string' ? JSON.parse(tour) : tour;
+        const stops = Array.isArray(parsed) ? parsed : parsed?.stops ?? (parsed?.cues ? [] : null);
+        if (!Array.isArray(stops)) {
+            console.warn('FlowCoordinator: tour script needs a "stops" array');
+            return false;
+        }
+
+        this._cancelRun();
+        this._cancelChoice();
+        this._endCues();
+        this._cuePath = null;
+        this._tour = {
+            route: parsed.route ?? null,
+            stops: stops.filter((stop, i) => {
+                if (!stop || stop.waypoint === undefined) {
+                    console.warn(`FlowCoordinator: tour stop ${i + 1} has no waypoint`);
+                    return false;
+                }
+                (stop.actions ?? []).forEach((action) => {
+                    if (!ACTION_TYPES.has(action?.type)) {
+                        console.warn(`FlowCoordinator: tour stop ${i + 1} has unknown action "${action?.type}"`);
+                    }
+                });
+                if (stop.choice && !stop.choice.options?.every((option) => option?.route)) {
+                    console.warn(`FlowCoordinator: tour stop ${i + 1} has a choice without a route for every option`);
+                    delete stop.choice;
+                }
+                return true;
+            }),
+            cues: (parsed.cues ?? []).filter((cue, i) => {
+                if (typeof cue?.progress !== 'number' && cue?.waypoint === undefined) {
+                    console.warn(`FlowCoordinator: cue ${i + 1} needs a "waypoint" or a "progress"`);
+                    return false;
+                }
+                return true;
+            })
+        };
+        this.app.fire('flow:tour:loaded', this._tour);
+        return true;
+    }
+
+    getTour() {
+        return this._tour;
+    }
+
+    isRunningActions() {
+        return !!this._run;
+    }
+
+    // the choice waiting for `flow:choose`, if any
+    getChoice() {
+        return this._choice;
+    }
+
+    choose(value) {
+        const choice = this._choice;
+        if (!choice) return false;
+
+        const option = this._findOption(choice.stop.choice.options, value);
+        if (!option) {
+            console.warn(`FlowCoordinator: unknown choice "${value?.route ?? value?.label ?? value}"`);
+            return false;
+        }
+        if (!this._getMover()?.getRouteData(option.route)) {
+            console.warn(`FlowCoordinator: route "${option.route}" has not been loaded`);
+            return false;
+        }
+
+        // a stop that is running its actions finishes them before the camera turns off
+        choice.option = option;
+        if (!this._run) {
+            this._applyChoice();
+        }
+        return true;
+    }
+
+    _loadTourFromAsset(asset) {
+        const resolved = /** @type {any} */ (asset);
+        const onReady = () => {
+            this.loadTour(resolved.resource ?? resolved.data);
+        };
+        if (resolved.resource) {
+            onReady();
+            return;
+        }
+        resolved.once('load', onReady);
+        this.app.assets?.load(resolved);
+    }
+
+    _loadTourFromUrl(url) {
+        fetch(url)
+        .then((res) => {
+            if (!res.ok) {
+                throw new Error(`HTTP ${res.status}`);
+            }
+            return res.json();
+        })
+        .then((json) => this.loadTour(json))
+        .catch((err) => {
+            console.warn(`FlowCoordinator: failed to load tour script (${url}): ${err.message ?? err}`);
+        });
+    }
+
+    _onProgress(event) {
+        const index = event.waypointIndex;
+        if (index === this._lastIndex) return;
+        this._lastIndex = index;
+        if (!this._tour) return;
+
+        // a choice is offered while the camera is still heading for it, so it can be made on the way
+        const next = this._getWaypointData(index + 1);
+        if (next) {
+            this._offerChoice(this._findStop(next), next);
+        }
+        if (this._run) return;
+
+        // `camera:waypoint` only fires where the camera stops, so stops it passes through are
+        // caught here and held straight away
+        const data = this._getWaypointData(index);
+        const stop = data ? this._findStop(data) : null;
+        if (!stop?.actions?.length && !this._isChoosing(stop)) return;
+        this._getMover().pause();
+        this._passedStop = data;
+    }
+
+    _getWaypointData(index) {
+        const path = this._getMover()?.getPath();
+        if (!path?.positions?.[index]) return null;
+        return {
+            index,
+            position: path.positions[index].clone(),
+            rotation: null,
+            metadata: path.metadata?.[index] ?? {}
+        };
+    }
+
+    _findStop(data) {
+        return this._tour?.stops.find((stop) => this._isAt(stop, data)) ?? null;
+    }
+
+    _isAt(entry, data) {
+        const meta = data.metadata ?? {};
+        // waypoints of a joined branch path remember the route and index they came from
+        const route = meta.sourceRoute ?? this._getMover()?.getRoute?.() ?? null;
+        if (!this._isOnRoute(entry, route)) return false;
+        const key = String(entry.waypoint);
+        return key === String(meta.waypointIndex ?? data.index) || key === String(meta.id) || key === meta.name;
+    }
+
+    _isOnRoute(entry, route) {
+        // an entry without a route follows the tour's route, and a tour without one any route
+        const entryRoute = entry.route ?? this._tour.route;
+        return !entryRoute || !route || entryRoute === route;
+    }
+
+    _resolveCues(mover, stepped = false) {
+        const path = mover.getPath();
+        const duration = mover.getDuration();
+        const cues = [];
+        (this._tour?.cues ?? []).forEach((cue) => {
+            let time;
+            if (typeof cue.progress === 'number') {
+                // a stepped move covers only part of the path, so progress has nothing to measure
+                if (stepped || !this._isOnRoute(cue, mover.getRoute())) return;
+                time = math.clamp(cue.progress, 0, 1) * duration;
+            } else {
+                const count = path?.positions?.length ?? 0;
+                let index = 0;
+                while (index < count && !this._isAt(cue, this._getWaypointData(index))) {
+                    index++;
+                }
+                const arrival = index < count ? mover.getWaypointTime(index) : null;
+                if (arrival === null) return;
+                time = arrival + (cue.offset ?? 0);
+                // an offset beyond a stepped move belongs to the move before or after it
+                if (stepped && (time < 0 || time > duration)) return;
+                time = math.clamp(time, 0, duration);
+            }
+            cues.push({ cue, time, end: cue.duration > 0 ? time + cue.duration : null });
+        });
+        return cues;
+    }
+
+    _updateCues(event) {
+        const mover = this._getMover();
+        const path = mover?.getPath() ?? null;
+        if (path !== this._cuePath) {
+            this._endCues();
+            this._cuePath = path;
+            this._cues = this._tour?.cues.length && path ? this._resolveCues(mover) : [];
+            this._cueTime = -1;
+        }
+
+        // the time running backwards without a seek is a looping path starting over
+        const time = event.elapsed;
+        if (time < this._cueTime) {
+            this._fireCues(this._cueTime, event.duration);
+            this._endCues();
+            this._cueTime = -1;
+        }
+        this._fireCues(this._cueTime, time);
+        this._cueTime = time;
+        this._activeCues
+        .filter((active) => active.entry.end !== null && active.entry.end <= time)
+        .forEach((active) => this._endCue(active));
+    }
+
+    _fireCues(from, to) {
+        this._cues.forEach((entry) => {
+            if (entry.time > from && entry.time <= to) {
+                this._startCue(entry, 0);
+            }
+        });
+    }
+
+    _seekCues(time) {
+        if (!this._cues.length) return;
+
+        // cues at the seek target fire with the progress that follows
+        this._cueTime = time - 1e-4;
+        this._activeCues.slice().forEach((active) => {
+            const { entry, instance } = active;
+            const end = entry.end ?? (instance ? entry.time + instance.duration : entry.time);
+            if (time < entry.time || time >= end) {
+                this._endCue(active);
+            } else if (instance) {
+                instance.currentTime = time - entry.time;
+            }
+        });
+
+        // landing part way through a cue with a duration picks it up from there
+        this._cues.forEach((entry) => {
+            if (entry.time > this._cueTime || entry.end === null || entry.end <= time) return;
+            if (this._activeCues.some((active) => active.entry === entry)) return;
+            this._startCue(entry, time - entry.time);
+        });
+    }
+
+    _startCue(entry, offset) {
+        const { cue } = entry;
+        const active = { entry, instance: null, onEnd: null };
+        const entity = cue.entity ? this._findEntity(cue.entity) : null;
+        if (cue.entity && !entity?.sound) {
+            console.warn(`FlowCoordinator: cue audio needs an entity with a sound component ("${cue.entity}")`);
+        }
+        const instance = entity?.sound?.play(cue.slot) ?? null;
+        if (instance) {
+            if (offset > 0) {
+                instance.currentTime = offset;
+            }
+            if (this._getMover()?.isPaused()) {
+                instance.pause();
+            }
+            // without a duration the cue lasts as long as its audio
+            active.instance = instance;
+            active.onEnd = () => {
+                active.instance = null;
+                this._endCue(active);
+            };
+            instance.once('end', active.onEnd);
+        }
+        if (entry.end !== null || instance) {
+            this._activeCues.push(active);
+        }
+        this.app.fire('flow:cue', { cue, time: entry.time, offset, route: this._getMover()?.getRoute() ?? null });
+    }
+
+    _endCue(active) {
+        const index = this._activeCues.indexOf(active);
+        if (index === -1) return;
+        this._activeCues.splice(index, 1);
+        if (active.instance) {
+            active.instance.off('end', active.onEnd);
+            active.instance.stop();
+        }
+        this.app.fire('flow:cue:end', { cue: active.entry.cue, time: active.entry.time });
+    }
+
+    _endCues() {
+        this._activeCues.slice().forEach((active) => this._endCue(active));
+    }
+
+    _runStop(data) {
+        const stop = this._findStop(data);
+        this._offerChoice(stop, data);
+        if (!stop?.actions?.length && !this._isChoosing(stop)) return;
+
+        // hold the camera at the waypoint until the actions are done
+        this._cancelRun();
+        const mover = this._getMover();
+        mover?.pause();
+
+        const run = { stop, waypoint: data, cancelled: false, branched: false, cancels: [] };
+        this._run = run;
+        this.app.fire('flow:actions:start', { stop, waypoint: data });
+
+        (stop.actions ?? []).reduce((chain, action) => chain.then(() => {
+            if (run.cancelled || run.branched) return null;
+            return this._runAction(action, run);
+        }), Promise.resolve())
+        .catch((err) => {
+            console.warn(`FlowCoordinator: tour action failed: ${err.message ?? err}`);
+        })
+        .then(() => {
+            if (run.cancelled) return;
+            this._run = null;
+            this.app.fire('flow:actions:end', { stop, waypoint: data });
+
+            // a branch has already started the next route
+            if (run.branched) {
+                this._pendingComplete = null;
+                return;
+            }
+
+            // hold on a branch waypoint until a choice is made
+            if (this._isChoosing(stop)) {
+                this._choice.held = true;
+            }
+            if (this._choice?.option) {
+                this._applyChoice();
+                return;
+            }
+            if (this._choice?.held) return;
+            mover?.resume();
+            if (this._pendingComplete) {
+                const complete = this._pendingComplete;
+                this._pendingComplete = null;
+                this.app.fire('flow:complete', complete);
+            }
+        });
+    }
+
+    _cancelRun() {
+        const run = this._run;
+        if (!run) return;
+        this._run = null;
+        this._pendingComplete = null;
+        run.cancelled = true;
+        run.cancels.forEach((cancel) => cancel());
+    }
+
+    _isChoosing(stop) {
+        return !!stop && this._choice?.stop === stop;
+    }
+
+    _offerChoice(stop, data) {
+        if (!stop?.choice || this._choice || this._chosen === stop) return;
+        this._choice = { stop, waypoint: data, option: null, held: false };
+        this.app.fire('flow:choice', {
+            stop,
+            waypoint: data,
+            prompt: stop.choice.prompt ?? '',
+            options: stop.choice.options
+        });
+    }
+
+    _cancelChoice() {
+        const choice = this._choice;
+        if (!choice) return;
+        this._choice = null;
+        this.app.fire('flow:choice:cancel', { stop: choice.stop, waypoint: choice.waypoint });
+    }
+
+    _findOption(options, value) {
+        if (options.includes(value)) return value;
+        const key = value && typeof value === 'object' ? value.index ?? value.route ?? value.label : value;
+        if (typeof key === 'number') return options[key] ?? null;
+        return options.find((option) => option.route === key || option.label === key) ?? null;
+    }
+
+    _applyChoice() {
+        const { stop, waypoint, option, held } = this._choice;
+        const mover = this._getMover();
+        this._choice = null;
+        this._chosen = stop;
+        this._pendingComplete = null;
+        this._passedStop = null;
+        this.app.fire('flow:chosen', { stop, waypoint, option });
+
+        // a camera still on its way carries on through the branch waypoint into the chosen route
+        const target = mover.targetEntity || mover.entity;
+        const route = this._createBranchRoute(
+            mover.getPath(),
+            mover.getRoute(),
+            held ? [0, -1] : [Math.max(this._lastIndex, 0) + 1, waypoint.index],
+            mover.getRouteData(option.route),
+            option.route,
+            target.getLocalPosition(),
+            target.getLocalEulerAngles()
+        );
+        this._lastIndex = -1;
+
+        // on loop, the tour restarts on the chosen route rather than the one it branched from
+        const builder = this._getBuilder();
+        const path = builder?.buildRoute(route);
+        if (path) {
+            mover.join(path, builder.getPath(option.route));
+        } else {
+            mover.startFromWaypoints(route);
+        }
+    }
+
+    _createBranchRoute(current, currentRoute, [from, to], data, dataRoute, position, euler) {
+        const pick = (values, i) => values?.[i] ?? null;
+        const route = {
+            positions: [],
+            rotations: [],
+            pauses: [],
+            lookAts: [],
+            lookAtEntities: [],
+            metadata: [],
+            route: BRANCH_ROUTE,
+            closed: false
+        };
+        const add = (pos, rot, pause, lookAt, lookAtEntity, meta) => {
+            // where the chosen route starts on the branch waypoint, its own waypoint takes the place
+            const last = route.positions.length - 1;
+            const index = last >= 0 && route.positions[last].distance(pos) <= 1e-3 ? last : last + 1;
+            route.positions[index] = pos;
+            route.rotations[index] = rot;
+            route.pauses[index] = pause;
+            route.lookAts[index] = lookAt;
+            route.lookAtEntities[index] = lookAtEntity;
+            route.metadata[index] = meta;
+        };
+        const addWaypoint = (source, sourceRoute, i) => {
+            add(source.positions[i], pick(source.rotations, i), pick(source.pauses, i) ?? 0,
+                pick(source.lookAts, i), pick(source.lookAtEntities, i),
+                { sourceRoute, waypointIndex: i, ...pick(source.metadata, i) });
+        };
+
+        add(position.clone(), euler.clone(), 0, null, null, {});
+        for (let i = from; i <= to; i++) {
+            addWaypoint(current, currentRoute, i);
+        }
+        data.positions.forEach((_, i) => addWaypoint(data, dataRoute, i));
+        return route;
+    }
+
+    _runAction(action, run) {
+        const context = { stop: run.stop, waypoint: run.waypoint };
+        switch (action.type) {
+            case 'caption': {
+                this.app.fire('flow:caption', { ...context, text: action.text ?? '' });
+                if (!(action.duration > 0)) return null;
+                return this._wait(action.duration, run).then(() => {
+                    if (!run.cancelled) {
+                        this.app.fire('flow:caption:hide', context);
+                    }
+                });
+            }
+            case 'wait': {
+                return this._wait(action.duration ?? 0, run);
+            }
+            case 'waitForClick': {
+                this.app.fire('flow:wait', { ...context, action });
+                return this._waitForClick(run);
+            }
+            case 'audio': {
+                return this._playAudio(action, run);
+            }
+            case 'visibility': {
+                const entity = this._findEntity(action.entity);
+                if (entity) {
+                    entity.enabled = action.enabled ?? !entity.enabled;
+                }
+                return null;
+            }
+            case 'lighting': {
+                return this._changeLighting(action, run);
+            }
+            case 'event': {
+                if (action.name) {
+                    this.app.fire(action.name, action.data ?? context);
+                }
+                return null;
+            }
+            case 'branch': {
+                const mover = this._getMover();
+                if (mover?.playRoute(action.route)) {
+                    run.branched = true;
+                }
+                return null;
+            }
+        }
+        return null;
+    }
+
+    _wait(seconds, run) {
+        // counted in app time so the wait follows the app's time scale
+        return new Promise((resolve) => {
+            let elapsed = 0;
+            const done = () => {
+                this.app.off('update', onUpdate);
+                resolve();
+            };
+            const onUpdate = (dt) => {
+                elapsed += dt;
+                if (elapsed >= seconds) {
+                    done();
+                }
+            };
+            if (seconds <= 0) {
+                resolve();
+                return;
+            }
+            this.app.on('update', onUpdate);
+            run.cancels.push(done);
+        });
+    }
+
+    _waitForClick(run) {
+        // continues on a click or tap, or when the UI fires `flow:continue`. Drags belong to the
+        // camera controls, so they do not count
+        return new Promise((resolve) => {
+            let down = null;
+            const onMouseDown = (event) => {
+                down = event.button === 0 ? { x: event.x, y: event.y, time: performance.now() / 1000 } : null;
+            };
+            const onMouseUp = (event) => {
+                onPointerUp(event.x, event.y);
+            };
+            const onTouchStart = (event) => {
+                const touch = event.changedTouches[0];
+                down = event.touches.length === 1 && touch ?
+                    { x: touch.x, y: touch.y, time: performance.now() / 1000 } : null;
+            };
+            const onTouchEnd = (event) => {
+                const touch = event.changedTouches[0];
+                if (touch && !event.touches.length) {
+                    onPointerUp(touch.x, touch.y);
+                }
+            };
+            const onPointerUp = (x, y) => {
+                const start = down;
+                down = null;
+                if (!start) return;
+                if (Math.hypot(x - start.x, y - start.y) > TAP_DISTANCE || performance.now() / 1000 - start.time > TAP_TIME) return;
+                done();
+            };
+            const done = () => {
+                this.app.off('flow:continue', done);
+                this.app.mouse?.off('mousedown', onMouseDown);
+                this.app.mouse?.off('mouseup', onMouseUp);
+                this.app.touch?.off('touchstart', onTouchStart);
+                this.app.touch?.off('touchend', onTouchEnd);
+                resolve();
+            };
+            this.app.on('flow:continue', done);
+            this.app.mouse?.on('mousedown', onMouseDown);
+            this.app.mouse?.on('mouseup', onMouseUp);
+            this.app.touch?.on('touchstart', onTouchStart);
+            this.app.touch?.on('touchend', onTouchEnd);
+            run.cancels.push(done);
+        });
+    }
+
+    _playAudio(action, run) {
+        const entity = this._findEntity(action.entity);
+        if (!entity?.sound) {
+            console.warn(`FlowCoordinator: audio action needs an entity with a sound component ("${action.entity}")`);
+            return null;
+        }
+        const instance = entity.sound.play(action.slot);
+        if (!instance || action.wait === false) return null;
+
+        return new Promise((resolve) => {
+            const done = () => {
+                instance.off('end', done);
+                instance.off('stop', done);
+                resolve();
+            };
+            instance.on('end', done);
+            instance.on('stop', done);
+            run.cancels.push(() => {
+                done();
+                instance.stop();
+            });
+        });
+    }
+
+    _changeLighting(action, run) {
+        const light = action.entity ? this._findEntity(action.entity)?.light : null;
+        const scene = this.app.scene;
+        if (action.entity && !light) {
+            console.warn(`FlowCoordinator: lighting action needs an entity with a light component ("${action.entity}")`);
+            return null;
+        }
+
+        const toColor = (value) => (Array.isArray(value) ? new Color(value[0], value[1], value[2]) : null);
+        const fromIntensity = light?.intensity;
+        const fromColor = light?.color.clone();
+        const fromAmbient = scene?.ambientLight.clone();
+        const color = toColor(action.color);
+        const ambient = toColor(action.ambient);
+        const current = new Color();
+
+        const apply = (t) => {
+            if (light && typeof action.intensity === 'number') {
+                light.intensity = math.lerp(fromIntensity, action.intensity, t);
+            }
+            if (light && color) {
+                light.color = current.lerp(fromColor, color, t);
+            }
+            if (scene && ambient) {
+                scene.ambientLight = current.lerp(fromAmbient, ambient, t);
+            }
+        };
+
+        const duration = action.duration ?? 0;
+        if (duration <= 0) {
+            apply(1);
+            return null;
+        }
+        return new Promise((resolve) => {
+            let elapsed = 0;
+            const done = () => {
+                this.app.off('update', onUpdate);
+                resolve();
+            };
+            const onUpdate = (dt) => {
+                elapsed = Math.min(elapsed + dt, duration);
+                apply(elapsed / duration);
+                if (elapsed >= duration) {
+                    done();
+                }
+            };
+            this.app.on('update', onUpdate);
+            run.cancels.push(done);
+        });
+    }
+
+    _findEntity(name) {
+        if (!name) return null;
+        const entity = name.includes('/') ? this.app.root.findByPath(name) : this.app.root.findByName(name);
+        if (!entity) {
+            console.warn(`FlowCoordinator: entity "${name}" not found`);
+        }
+        return entity;
+    }
+
+    _getMover() {
+        const target = this.moverEntity || this.entity;
+        return target?.script?.cameraMover ?? null;
+    }
+
+    _getBuilder() {
+        const target = this.builderEntity || this.entity;
+        return target?.script?.waypointPathBuilder ?? null;
     }
 
     _showWaypoint(data) {
@@ -0,0 +1,252 @@
+import {
+    Script,
+    Vec3
+} from 'playcanvas';
+
+const TAP_TIME = 0.3;
+const TAP_DISTANCE = 8;
+
+class HotspotLayer extends Script {
+    static scriptName = 'hotspotLayer';
+    static attributes = {
+        cameraEntity: {
+            type: 'entity',
+            title: 'Camera Entity'
+        },
+        controlsEntity: {
+            type: 'entity',
+            title: 'Camera Controls Entity'
+        },
+        controlsScriptName: {
+            type: 'string',
+            title: 'Camera Controls Script Name',
+            default: 'cameraControls'
+        },
+        routeName: {
+            type: 'string',
+            title: 'Route Name',
+            default: ''
+        },
+        nearDistance: {
+            type: 'number',
+            title: 'Near Distance',
+            default: 1.5
+        },
+        clickRadius: {
+            type: 'number',
+            title: 'Click Radius (px)',
+            default: 24
+        },
+        focusOnSelect: {
+            type: 'boolean',
+            title: 'Focus On Select',
+            default: true
+        }
+    };
+
+    cameraEntity = null;
+    controlsEntity = null;
+    controlsScriptName = 'cameraControls';
+    routeName = '';
+    nearDistance = 1.5;
+    clickRadius = 24;
+    focusOnSelect = true;
+
+    _data = null;
+    _hotspots = [];
+    _visible = [];
+    _eventName = '';
+    _pointerDown = null;
+    _boundOnWaypoints = null;
+    _boundOnMouseDown = null;
+    _boundOnMouseUp = null;
+    _boundOnTouchStart = null;
+    _boundOnTouchEnd = null;
+
+    initialize() {
+        this._boundOnWaypoints = (data) => {
+            this.setWaypoints(data);
+        };
+        this._boundOnMouseDown = (event) => {
+            this._pointerDown = event.button === 0 ? { x: event.x, y: event.y, time: performance.now() / 1000 } : null;
+        };
+        this._boundOnMouseUp = (event) => {
+            this._onPointerUp(event.x, event.y);
+        };
+        this._boundOnTouchStart = (event) => {
+            const touch = event.changedTouches[0];
+            this._pointerDown = event.touches.length === 1 && touch ?
+                { x: touch.x, y: touch.y, time: performance.now() / 1000 } : null;
+        };
+        this._boundOnTouchEnd = (event) => {
+            const touch = event.changedTouches[0];
+            if (touch && !event.touches.length) {
+                this._onPointerUp(touch.x, touch.y);
+            }
+        };
+
+        // an empty route name follows the default route of the loaded file
+        this._eventName = this.routeName ? `waypoints:loaded:${this.routeName}` : 'waypoints:loaded';
+        this.app.on(this._eventName, this._boundOnWaypoints);
+        this.app.mouse?.on('mousedown', this._boundOnMouseDown);
+        this.app.mouse?.on('mouseup', this._boundOnMouseUp);
+        this.app.touch?.on('touchstart', this._boundOnTouchStart);
+        this.app.touch?.on('touchend', this._boundOnTouchEnd);
+    }
+
+    destroy() {
+        if (this._boundOnWaypoints) {
+            this.app.off(this._eventName, this._boundOnWaypoints);
+        }
+        this.app.mouse?.off('mousedown', this._boundOnMouseDown);
+        this.app.mouse?.off('mouseup', this._boundOnMouseUp);
+        this.app.touch?.off('touchstart', this._boundOnTouchStart);
+        this.app.touch?.off('touchend', this._boundOnTouchEnd);
+    }
+
+    setWaypoints(data) {
+        this._data = data ?? null;
+        this._hotspots = (data?.pois ?? []).map((poi) => ({
+            poi,
+            waypoints: this._resolveWaypoints(data, poi),
+            visible: false,
+            screen: new Vec3()
+        }));
+        this._setVisible([]);
+    }
+
+    getHotspots() {
+        return this._hotspots.map((hotspot) => hotspot.poi);
+    }
+
+    getVisible() {
+        return this._visible;
+    }
+
+    update() {
+        const camera = this._getCamera();
+        if (!camera || !this._hotspots.length) return;
+
+        // waypoints are positions local to the camera's parent, which is how the mover applies them
+        const position = camera.entity.getLocalPosition();
+        const visible = [];
+        this._hotspots.forEach((hotspot) => {
+            if (!this._isNear(hotspot, position)) return;
+
+            // behind the camera has no meaningful screen position
+            camera.worldToScreen(hotspot.poi.position, hotspot.screen);
+            if (hotspot.screen.z <= 0) return;
+            visible.push(hotspot);
+        });
+        this._setVisible(visible);
+
+        if (visible.length) {
+            this.app.fire('poi:update', visible.map((hotspot) => this._toEvent(hotspot, camera)));
+        }
+    }
+
+    select(id) {
+        const hotspot = this._hotspots.find((h) => h.poi.id === String(id));
+        if (!hotspot) {
+            console.warn(`HotspotLayer: unknown point of interest "${id}"`);
+            return false;
+        }
+
+        const controls = this._getControls();
+        if (this.focusOnSelect && controls && !controls.suspended) {
+            controls.focus(hotspot.poi.position);
+        }
+        this.app.fire('poi:selected', { poi: hotspot.poi });
+        return true;
+    }
+
+    hitTest(x, y) {
+        // the nearest on-screen hotspot within the click radius
+        let best = null;
+        let bestDistance = this.clickRadius;
+        this._visible.forEach((hotspot) => {
+            const distance = Math.hypot(hotspot.screen.x - x, hotspot.screen.y - y);
+            if (distance <= bestDistance) {
+                best = hotspot.poi;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    _onPointerUp(x, y) {
+        const down = this._pointerDown;
+        this._pointerDown = null;
+        if (!down) return;
+
+        // only a click or tap selects, drags belong to the camera controls
+        if (Math.hypot(x - down.x, y - down.y) > TAP_DISTANCE || performance.now() / 1000 - down.time > TAP_TIME) return;
+        const poi = this.hitTest(x, y);
+        if (poi) {
+            this.select(poi.id);
+        }
+    }
+
+    _isNear(hotspot, position) {
+        // without waypoints a hotspot is shown from anywhere
+        if (!hotspot.waypoints) return true;
+        const positions = this._data.positions;
+        return hotspot.waypoints.some((index) => positions[index]?.distance(position) <= this.nearDistance);
+    }
+
+    _setVisible(visible) {
+        const previous = this._visible;
+        this._visible = visible;
+        previous.forEach((hotspot) => {
+            if (visible.includes(hotspot)) return;
+            hotspot.visible = false;
+            this.app.fire('poi:hide', { poi: hotspot.poi });
+        });
+        visible.forEach((hotspot) => {
+            if (hotspot.visible) return;
+            hotspot.visible = true;
+            this.app.fire('poi:show', { poi: hotspot.poi });
+        });
+    }
+
+    _toEvent(hotspot, camera) {
+        return {
+            poi: hotspot.poi,
+            x: hotspot.screen.x,
+            y: hotspot.screen.y,
+            distance: hotspot.poi.position.distance(camera.entity.getPosition())
+        };
+    }
+
+    _resolveWaypoints(data, poi) {
+        if (!poi.visibleFrom?.length) return null;
+        const metadata = data.metadata || [];
+        const count = data.positions?.length ?? 0;
+        const indices = [];
+        poi.visibleFrom.forEach((ref) => {
+            const key = String(ref);
+            let index = metadata.findIndex((meta) => meta && (String(meta.id) === key || meta.name === key));
+            if (index === -1 && /^\d+$/.test(key)) {
+                index = Number(key);
+            }
+            if (index === -1 || index >= count) {
+                console.warn(`HotspotLayer: point of interest "${poi.id}" is visible from unknown waypoint "${ref}"`);
+                return;
+            }
+            indices.push(index);
+        });
+        return indices;
+    }
+
+    _getCamera() {
+        if (this.cameraEntity?.camera) return this.cameraEntity.camera;
+        return this.entity.camera ?? null;
+    }
+
+    _getControls() {
+        const target = this.controlsEntity || this._getCamera()?.entity;
+        return target?.script?.[this.controlsScriptName] ?? null;
+    }
+}
+
+export { HotspotLayer };
@@ -0,0 +1,253 @@
+import {
+    Script
+} from 'playcanvas';
+
+const NAV_ROUTE = 'navigation';
+
+class RoomNavigator extends Script {
+    static scriptName = 'roomNavigator';
+    static attributes = {
+        builderEntity: {
+            type: 'entity',
+            title: 'Path Builder Entity'
+        },
+        moverEntity: {
+            type: 'entity',
+            title: 'Camera Mover Entity'
+        },
+        routeName: {
+            type: 'string',
+            title: 'Route Name',
+            default: ''
+        }
+    };
+
+    builderEntity = null;
+    moverEntity = null;
+    routeName = '';
+
+    _data = null;
+    _edges = [];
+    _eventName = '';
+    _navigating = null;
+    _boundOnWaypoints = null;
+    _boundOnComplete = null;
+
+    initialize() {
+        this._boundOnWaypoints = (data) => {
+            this.setWaypoints(data);
+        };
+        this._boundOnComplete = (data) => {
+            if (data?.route !== NAV_ROUTE || !this._navigating) return;
+            const arrived = this._navigating;
+            this._navigating = null;
+            this.app.fire('nav:arrived', arrived);
+        };
+        // an empty route name follows the default route of the loaded file
+        this._eventName = this.routeName ? `waypoints:loaded:${this.routeName}` : 'waypoints:loaded';
+        this.app.on(this._eventName, this._boundOnWaypoints);
+        this.app.on('camera:path:complete', this._boundOnComplete);
+    }
+
+    destroy() {
+        if (this._boundOnWaypoints) {
+            this.app.off(this._eventName, this._boundOnWaypoints);
+        }
+        if (this._boundOnComplete) {
+            this.app.off('camera:path:complete', this._boundOnComplete);
+        }
+    }
+
+    setWaypoints(data) {
+        this._data = data?.positions?.length ? data : null;
+        this._edges = this._data ? this._buildEdges(this._data) : [];
+    }
+
+    navigateTo(target) {
+        const data = this._data;
+        const mover = this._getScript(this.moverEntity, 'cameraMover');
+        if (!data || !mover) return false;
+
+        const to = this.findWaypoint(target);
+        if (to === -1) {
+            console.warn(`RoomNavigator: unknown waypoint "${target}"`);
+            return false;
+        }
+
+        const camera = mover.targetEntity || mover.entity;
+        const position = camera.getLocalPosition();
+        const from = this.getNearestWaypoint(position);
+        const indices = this.findRoute(from, to);
+        if (!indices) {
+            console.warn(`RoomNavigator: no connection from waypoint ${from} to waypoint ${to}`);
+            return false;
+        }
+
+        const route = this._createRoute(data, indices, position, camera.getLocalEulerAngles());
+        if (route.positions.length < 2) return false;
+
+        this._navigating = { from, to, indices };
+        this.app.fire('nav:start', this._navigating);
+
+        const builder = this._getScript(this.builderEntity, 'waypointPathBuilder');
+        const path = builder?.buildRoute(route);
+        // a one-off trip, so a looping or stepped tour on the mover does not take over
+        if (path) {
+            mover.start(path, { once: true });
+        } else {
+            mover.startFromWaypoints(route, { once: true });
+        }
+        return true;
+    }
+
+    findWaypoint(target) {
+        const data = this._data;
+        if (!data) return -1;
+        if (typeof target === 'number') {
+            return Number.isInteger(target) && target >= 0 && target < data.positions.length ? target : -1;
+        }
+
+        const key = String(target);
+        const metadata = data.metadata || [];
+        for (let i = 0; i < data.positions.length; i++) {
+            const meta = metadata[i];
+            if (meta && (String(meta.id) === key || meta.name === key)) {
+                return i;
+            }
+        }
+        return /^\d+$/.test(key) ? this.findWaypoint(Number(key)) : -1;
+    }
+
+    getNearestWaypoint(position) {
+        const positions = this._data?.positions ?? [];
+        let nearest = -1;
+        let best = Infinity;
+        for (let i = 0; i < positions.length; i++) {
+            const distance = positions[i].distance(position);
+            if (distance < best) {
+                best = distance;
+                nearest = i;
+            }
+        }
+        return nearest;
+    }
+
+    findRoute(from, to) {
+        const count = this._edges.length;
+        if (from < 0 || to < 0 || from >= count || to >= count) return null;
+
+        // Dijkstra over the waypoint graph, weighted by straight-line distance
+        const dist = new Array(count).fill(Infinity);
+        const prev = new Array(count).fill(-1);
+        const done = new Array(count).fill(false);
+        dist[from] = 0;
+
+        for (let n = 0; n < count; n++) {
+            let current = -1;
+            for (let i = 0; i < count; i++) {
+                if (!done[i] && dist[i] < Infinity && (current === -1 || dist[i] < dist[current])) {
+                    current = i;
+                }
+            }
+            if (current === -1 || current === to) break;
+            done[current] = true;
+
+            this._edges[current].forEach((edge) => {
+                const distance = dist[current] + edge.weight;
+                if (distance < dist[edge.to]) {
+                    dist[edge.to] = distance;
+                    prev[edge.to] = current;
+                }
+            });
+        }
+
+        if (dist[to] === Infinity) return null;
+        const indices = [to];
+        while (indices[0] !== from) {
+            indices.unshift(prev[indices[0]]);
+        }
+        return indices;
+    }
+
+    _buildEdges(data) {
+        const count = data.positions.length;
+        const metadata = data.metadata || [];
+        const edges = Array.from({ length: count }, () => []);
+        const connect = (a, b) => {
+            if (a === b || edges[a].some((edge) => edge.to === b)) return;
+            const weight = data.positions[a].distance(data.positions[b]);
+            edges[a].push({ to: b, weight });
+            edges[b].push({ to: a, weight });
+        };
+
+        let linked = false;
+        for (let i = 0; i < count; i++) {
+            this._readLinks(metadata[i]?.links).forEach((link) => {
+                const index = this.findWaypoint(link);
+                if (index === -1) {
+                    console.warn(`RoomNavigator: waypoint ${i} links to unknown waypoint "${link}"`);
+                    return;
+                }
+                connect(i, index);
+                linked = true;
+            });
+        }
+
+        // without explicit links the authored order is the only known connection
+        if (!linked) {
+            for (let i = 1; i < count; i++) {
+                connect(i - 1, i);
+            }
+        }
+        return edges;
+    }
+
+    _readLinks(links) {
+        if (Array.isArray(links)) return links;
+        if (typeof links === 'number') return [links];
+        if (typeof links !== 'string') return [];
+        return links.split(/[|;\s]+/).filter(Boolean);
+    }
+
+    _createRoute(data, indices, position, euler) {
+        const pick = (values, i) => values?.[i] ?? null;
+        const route = {
+            positions: [],
+            rotations: [],
+            pauses: [],
+            lookAts: [],
+            lookAtEntities: [],
+            metadata: [],
+            route: NAV_ROUTE,
+            closed: false
+        };
+
+        // lead in from wherever the camera is unless it already sits on the first waypoint
+        if (position.distance(data.positions[indices[0]]) > 1e-3) {
+            route.positions.push(position.clone());
+            route.rotations.push(euler.clone());
+            route.pauses.push(0);
+            route.lookAts.push(null);
+            route.lookAtEntities.push(null);
+            route.metadata.push({});
+        }
+
+        // waypoints along the way are passed through without their pauses
+        indices.forEach((index) => {
+            route.positions.push(data.positions[index]);
+            route.rotations.push(pick(data.rotations, index));
+            route.pauses.push(0);
+            route.lookAts.push(pick(data.lookAts, index));
+            route.lookAtEntities.push(pick(data.lookAtEntities, index));
+            route.metadata.push({ ...pick(data.metadata, index), waypointIndex: index });
+        });
+        return route;
+    }
+
+    _getScript(entity, scriptName) {
+        const target = entity || this.entity;
+        return target?.script?.[scriptName] ?? null;
+    }
+}
+
+export { RoomNavigator };
@@ -2,6 +2,33 @@ import {
     Script,
     Vec3
 } from 'playcanvas';
+import {
+    CSV_POSITIONAL_COLUMNS,
+    readCsvHeader,
+    readCsvRotation,
+    tokenizeCsv
+} from '../waypoint-csv.mjs';
+
+// columns that describe the waypoint itself rather than metadata passed through to listeners
+const CORE_FIELDS = new Set(['x', 'y', 'z', 'rx', 'ry', 'rz', 'pause', 'lookX', 'lookY', 'lookZ', 'lookAtEntity']);
+const METADATA_FIELDS = ['id', 'name', 'label', 'description', 'fov', 'speed', 'duration', 'easing', 'links', 'tension', 'continuity', 'bias'];
+const METADATA_NUMBER_FIELDS = new Set(['fov', 'speed', 'duration']);
+// Kochanek-Bartels parameters, each between -1 and 1
+const METADATA_TCB_FIELDS = new Set(['tension', 'continuity', 'bias']);
+
+// route name given to files that hold a single waypoint list
+const DEFAULT_ROUTE = 'default';
+
+// rejects WaypointFetcher.load() with what `waypoints:error` reports for a fatal failure
+class WaypointLoadError extends Error {
+    constructor(message, { source = '', format = '', errors = [] } = {}) {
+        super(message);
+        this.name = 'WaypointLoadError';
+        this.source = source;
+        this.format = format;
+        this.errors = errors;
+    }
+}
 
 class WaypointFetcher extends Script {
     static scriptName = 'waypointFetcher';
@@ -30,6 +57,11 @@ class WaypointFetcher extends Script {
             type: 'boolean',
             title: 'Auto Load',
             default: true
+        },
+        validationMode: {
+            type: 'string',
+            title: 'Validation Mode',
+            default: 'lenient'
         }
     };
 
@@ -38,60 +70,98 @@ class WaypointFetcher extends Script {
     waypointDataFormat = 'auto';
     csvDelimiter = ',';
     autoLoad = true;
+    validationMode = 'lenient';
 
     _data = null;
+    _routes = new Map();
+    _errors = [];
 
     initialize() {
-        if (this.autoLoad) {
-            this.load();
+        if (this.autoLoad && (this.waypointDataUrl || this.waypointDataAsset)) {
+            // failures have already been reported through `waypoints:error`
+            this.load().catch(() => {});
         }
     }
 
+    // resolves with the default route's payload, or rejects with a WaypointLoadError
     load() {
         if (this.waypointDataUrl) {
-            this._loadFromUrl(this.waypointDataUrl);
-            return;
+            return this._loadFromUrl(this.waypointDataUrl);
         }
         if (this.waypointDataAsset) {
-            this._loadFromAsset(this.waypointDataAsset);
+            return this._loadFromAsset(this.waypointDataAsset);
         }
+        return Promise.reject(this._reportErrors('', '', [{ line: 0, column: 0, reason: 'no waypoint data source set' }], true));
     }
 
     getData() {
         return this._data;
     }
 
+    getRoute(name) {
+        return this._routes.get(name) ?? null;
+    }
+
+    listRoutes() {
+        return Array.from(this._routes.keys());
+    }
+
+    getErrors() {
+        return this._errors;
+    }
+
     _loadFromAsset(asset) {
-        if (!this.app.assets || !asset) return;
         const resolved = /** @type {any} */ (asset);
-        const onReady = () => {
-            const data = resolved.resource ?? resolved.data ?? resolved.file?.contents;
-            this._applyWaypointData(data, resolved, 'asset');
-        };
-        if (resolved.resource) {
-            onReady();
-            return;
-        }
-        resolved.once('load', onReady);
-        this.app.assets.load(resolved);
+        return this._announce(new Promise((resolve, reject) => {
+            const onReady = () => {
+                resolved.off('error', onError);
+                const data = resolved.resource ?? resolved.data ?? resolved.file?.contents;
+                try {
+                    resolve(this._readWaypointData(data, resolved, 'asset'));
+                } catch (err) {
+                    reject(err);
+                }
+            };
+            const onError = (err) => {
+                resolved.off('load', onReady);
+                reject(this._reportErrors('asset', '', [{ line: 0, column: 0, reason: `failed to load: ${err?.message ?? err}` }], true));
+            };
+            if (resolved.resource) {
+                onReady();
+                return;
+            }
+            resolved.once('load', onReady);
+            resolved.once('error', onError);
+            this.app.assets.load(resolved);
+        }));
     }
 
     _loadFromUrl(url) {
-        fetch(url)
+        return this._announce(fetch(url)
         .then((res) => {
             if (!res.ok) {
                 throw new Error(`HTTP ${res.status}`);
             }
             return res.text();
         })
-        .then((text) => this._applyWaypointData(text, null, url))
         .catch((err) => {
-            console.warn('WaypointFetcher: failed to load waypoint URL', url, err);
-        });
+            throw this._reportErrors(url, '', [{ line: 0, column: 0, reason: `failed to load: ${err.message ?? err}` }], true);
+        })
+        .then((text) => this._readWaypointData(text, null, url)));
+    }
+
+    _announce(load) {
+        // listeners run once the load has settled, so an exception thrown by one is not taken for
+        // a failed load. Failures have already been reported through `waypoints:error`
+        load.then(() => this._fireLoaded(), () => {});
+        return load;
     }
 
-    _applyWaypointData(data, asset, sourceUrl = '') {
-        if (data == null) return;
+    // returns the default route's payload and throws a WaypointLoadError when the data is rejected
+    _readWaypointData(data, asset, sourceUrl = '') {
+        if (data == null) {
+            throw this._reportErrors(sourceUrl, '', [{ line: 0, column: 0, reason: 'no waypoint data' }], true);
+        }
         let format = this.waypointDataFormat;
         if (format === 'auto') {
             const url = (sourceUrl || asset?.file?.url || '').toLowerCase();
@@ -102,95 +172,371 @@ class WaypointFetcher extends Script {
             else format = 'json';
         }
 
-        let payload = null;
+        const errors = [];
+        let routes = null;
+        let defaultRoute = DEFAULT_ROUTE;
         try {
             if (format === 'csv') {
                 const text = this._toText(data);
-                payload = this._parseCsv(text);
+                routes = this._toRoutes(this._parseCsv(text, errors));
             } else {
                 const raw = typeof data === 'string' ? data : this._toText(data);
                 const json = typeof raw === 'string' ? JSON.parse(raw) : raw;
-                payload = this._parseJson(json);
+                if (json?.routes && typeof json.routes === 'object') {
+                    routes = this._parseRoutes(json.routes, errors);
+                    defaultRoute = routes.has(json.defaultRoute) ? json.defaultRoute : routes.keys().next().value;
+                } else {
+                    routes = this._toRoutes(this._parseJson(Array.isArray(json?.waypoints) ? json.waypoints : json, errors));
+                }
+
+                // points of interest at the top level belong to the default route
+                const pois = json?.pois ?? json?.hotspots;
+                if (pois !== undefined && routes.has(defaultRoute)) {
+                    routes.get(defaultRoute).pois.push(...this._parsePois(pois, errors));
+                }
             }
         } catch (err) {
-            console.warn('WaypointFetcher: failed to parse waypoint data', err);
-            return;
+            throw this._reportErrors(sourceUrl, format, [{ line: 0, column: 0, reason: `failed to parse: ${err.message ?? err}` }], true);
+        }
+
+        const strict = this.validationMode === 'strict';
+        if (!routes.size) {
+            errors.push({ line: 0, column: 0, reason: 'no waypoints parsed from data source' });
+            throw this._reportErrors(sourceUrl, format, errors, true);
+        }
+        if (errors.length) {
+            // strict mode rejects the whole file, lenient mode loads the rows that passed
+            const error = this._reportErrors(sourceUrl, format, errors, strict);
+            if (strict) throw error;
+        } else {
+            this._errors = [];
         }
 
-        if (!payload?.positions?.length) {
-            console.warn('WaypointFetcher: no waypoints parsed from data source');
-            return;
+        this._routes = routes;
+        this._data = routes.get(defaultRoute);
+        return this._data;
+    }
+
+    _fireLoaded() {
+        // every route gets scoped events, the global event carries the default route only
+        this._routes.forEach((payload, name) => {
+            this.app.fire('waypoints:route:loaded', payload);
+            this.app.fire(`waypoints:loaded:${name}`, payload);
+        });
+        this.app.fire('waypoints:loaded', this._data);
+    }
+
+    _toRoutes(payload) {
+        const routes = new Map();
+        if (payload?.positions?.length) {
+            payload.route = DEFAULT_ROUTE;
+            routes.set(DEFAULT_ROUTE, payload);
         }
+        return routes;
+    }
+
+    _parseRoutes(json, errors) {
+        // { "routes": { "name": [waypoints] } }, where a route may also be { "waypoints": [...] }
+        const routes = new Map();
+        Object.keys(json).forEach((name) => {
+            const value = json[name];
+            const routeErrors = [];
+            const payload = this._parseJson(Array.isArray(value) ? value : value?.waypoints, routeErrors);
+            if (payload && !payload.positions.length) {
+                routeErrors.push({ line: 0, column: 0, reason: 'route has no valid waypoints' });
+            }
+            const pois = value?.pois ?? value?.hotspots;
+            if (payload && pois !== undefined) {
+                payload.pois = this._parsePois(pois, routeErrors);
+            }
+            routeErrors.forEach((e) => {
+                e.route = name;
+            });
+            errors.push(...routeErrors);
 
-        this._data = payload;
-        this.app.fire('waypoints:loaded', payload);
+            if (payload?.positions.length) {
+                payload.route = name;
+                if (typeof value?.closed === 'boolean') {
+                    payload.closed = value.closed;
+                }
+                routes.set(name, payload);
+            }
+        });
+        return routes;
+    }
+
+    _reportErrors(source, format, errors, fatal) {
+        this._errors = errors;
+        const lines = errors.map((e) => `  ${e.route ? `route ${e.route}, ` : ''}line ${e.line}, column ${e.column}: ${e.reason}`);
+        const summary = fatal ? 'waypoint data rejected' : 'skipped invalid waypoint rows';
+        console.warn(`WaypointFetcher: ${summary} (${source || 'data'})\n${lines.join('\n')}`);
+        this.app.fire('waypoints:error', {
+            source,
+            format,
+            mode: this.validationMode,
+            fatal,
+            errors
+        });
+        return new WaypointLoadError(`${summary} (${source || 'data'})`, { source, format, errors });
     }
 
-    _parseJson(json) {
-        if (!Array.isArray(json)) return null;
+    _parseJson(json, errors = []) {
+        if (!Array.isArray(json)) {
+            errors.push({ line: 0, column: 0, reason: 'expected an array of waypoints' });
+            return null;
+        }
 
         const positions = [];
         const rotations = [];
         const pauses = [];
+        const lookAts = [];
+        const lookAtEntities = [];
+        const metadata = [];
+        const handlesIn = [];
+        const handlesOut = [];
 
+        // JSON has no line numbers, so `line` is the 1-based entry number and `column` the field
         for (let i = 0; i < json.length; i++) {
             const row = json[i];
-            if (!row) continue;
+            const line = i + 1;
+            if (!row || typeof row !== 'object') {
+                errors.push({ line, column: '', reason: 'waypoint entry must be an object or array' });
+                continue;
+            }
+
+            const rowErrors = [];
+            const pos = this._readVec3(row.position ?? row.pos ?? row.p ?? row[0], line, 'position', rowErrors, true);
+            const rot = this._readVec3(row.rotation ?? row.rot ?? row.r ?? row[1], line, 'rotation', rowErrors, false);
+            const wait = this._readPause(row.pause ?? row.wait ?? row.delay ?? row[2], line, 'pause', rowErrors);
+            const look = row.lookAt ?? row.look ?? row[3] ?? null;
+            const lookPoint = typeof look === 'string' ? null : this._readVec3(look, line, 'lookAt', rowErrors, false);
+            const lookEntity = row.lookAtEntity ?? row.target ?? (typeof look === 'string' ? look : null);
+            const meta = Array.isArray(row) ? {} : this._readJsonMetadata(row, line, rowErrors);
+            // Bezier handles, as offsets from the waypoint
+            const handleIn = this._readVec3(row.inTangent ?? row.handleIn, line, 'inTangent', rowErrors, false);
+            const handleOut = this._readVec3(row.outTangent ?? row.handleOut, line, 'outTangent', rowErrors, false);
 
-            const pos = row.position || row.pos || row.p || row[0];
-            const rot = row.rotation || row.rot || row.r || row[1];
-            const wait = row.pause ?? row.wait ?? row.delay ?? row[2] ?? 0;
+            if (rowErrors.length) {
+                errors.push(...rowErrors);
+                continue;
+            }
 
-            if (pos) positions.push(this._toVec3(pos));
-            if (rot) rotations.push(this._toVec3(rot));
-            pauses.push(Number(wait) || 0);
+            positions.push(pos);
+            rotations.push(rot);
+            pauses.push(wait);
+            lookAts.push(lookPoint);
+            lookAtEntities.push(lookEntity ? String(lookEntity) : null);
+            metadata.push(meta);
+            handlesIn.push(handleIn);
+            handlesOut.push(handleOut);
         }
 
         return {
             positions,
             rotations,
             pauses,
+            lookAts,
+            lookAtEntities,
+            metadata,
+            handlesIn,
+            handlesOut,
+            pois: [],
             source: 'json'
         };
     }
 
-    _parseCsv(text) {
-        const lines = text.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
-        if (!lines.length) return null;
+    _parseCsv(text, errors = []) {
+        const rows = tokenizeCsv(text, this.csvDelimiter);
+        const header = rows.length ? readCsvHeader(rows[0].cells) : null;
+        if (header) {
+            rows.shift();
+        }
+        const columns = header ?? CSV_POSITIONAL_COLUMNS;
 
         const positions = [];
         const rotations = [];
         const pauses = [];
+        const lookAts = [];
+        const lookAtEntities = [];
+        const metadata = [];
+        let lastAngles = null;
 
-        for (let i = 0; i < lines.length; i++) {
-            const cols = lines[i].split(this.csvDelimiter).map((c) => c.trim());
-            if (cols.length < 6) continue;
+        for (let i = 0; i < rows.length; i++) {
+            const { line, cells } = rows[i];
+            if (!header && cells.length < 6) {
+                errors.push({ line, column: cells.length + 1, reason: `expected at least 6 columns (x,y,z,rx,ry,rz), found ${cells.length}` });
+                continue;
+            }
 
-            const nums = cols.map((c) => Number(c));
-            if (nums.some((n) => Number.isNaN(n))) continue;
+            // without a header: x,y,z,rx,ry,rz[,pause[,lookX,lookY,lookZ[,lookAtEntity]]]
+            const rowErrors = [];
+            const read = (field, required = false) => this._readCsvNumber(cells, columns[field], line, field, rowErrors, required);
+            const x = read('x', true);
+            const y = read('y', true);
+            const z = read('z', true);
+            const rx = read('rx', !header);
+            const ry = read('ry', !header);
+            const rz = read('rz', !header);
+            const pause = read('pause') ?? 0;
+            const look = [read('lookX'), read('lookY'), read('lookZ')];
+            const lookCount = look.filter((n) => n !== null).length;
 
-            positions.push(new Vec3(nums[0], nums[1], nums[2]));
-            rotations.push(new Vec3(nums[3], nums[4], nums[5]));
-            pauses.push(Number(cols[6]) || 0);
+            if (lookCount > 0 && lookCount < 3) {
+                rowErrors.push({ line, column: (columns.lookX ?? 7) + 1, reason: 'look-at needs all of lookX, lookY and lookZ' });
+            }
+            if (pause < 0) {
+                rowErrors.push({ line, column: columns.pause + 1, reason: 'pause must not be negative' });
+            }
+
+            const meta = {};
+            Object.keys(columns).forEach((field) => {
+                const value = cells[columns[field]];
+                if (CORE_FIELDS.has(field) || value === undefined || value === '') return;
+                meta[field] = METADATA_NUMBER_FIELDS.has(field) || METADATA_TCB_FIELDS.has(field)
+                    ? this._readCsvNumber(cells, columns[field], line, field, rowErrors, false)
+                    : value;
+            });
+            this._validateMetadata(meta, line, (field) => columns[field] + 1, rowErrors);
+
+            if (rowErrors.length) {
+                errors.push(...rowErrors);
+                continue;
+            }
+
+            const angles = readCsvRotation([rx, ry, rz], lastAngles);
+            lastAngles = angles ?? lastAngles;
+            positions.push(new Vec3(x, y, z));
+            rotations.push(angles ? new Vec3(angles[0], angles[1], angles[2]) : null);
+            pauses.push(pause);
+            lookAts.push(lookCount === 3 ? new Vec3(look[0], look[1], look[2]) : null);
+            lookAtEntities.push(cells[columns.lookAtEntity] || null);
+            metadata.push(meta);
         }
 
         return {
             positions,
             rotations,
             pauses,
+            lookAts,
+            lookAtEntities,
+            metadata,
+            pois: [],
             source: 'csv'
         };
     }
 
-    _toVec3(value) {
-        if (value instanceof Vec3) {
-            return value.clone();
+    _parsePois(json, errors) {
+        if (!Array.isArray(json)) {
+            errors.push({ line: 0, column: 'pois', reason: 'expected an array of points of interest' });
+            return [];
         }
-        if (value && value.x !== undefined && value.y !== undefined && value.z !== undefined) {
-            return new Vec3(value.x, value.y, value.z);
+
+        // like waypoints, `line` is the 1-based entry number and `column` names the field
+        const pois = [];
+        json.forEach((row, i) => {
+            const line = i + 1;
+            if (!row || typeof row !== 'object' || Array.isArray(row)) {
+                errors.push({ line, column: 'pois', reason: 'point of interest must be an object' });
+                return;
+            }
+
+            const rowErrors = [];
+            const position = this._readVec3(row.position ?? row.pos, line, 'poi position', rowErrors, true);
+            const visible = row.visibleFrom ?? row.waypoints ?? [];
+            const visibleFrom = Array.isArray(visible) ? visible : [visible];
+            if (visibleFrom.some((ref) => typeof ref !== 'number' && typeof ref !== 'string')) {
+                rowErrors.push({ line, column: 'poi visibleFrom', reason: 'visibleFrom must list waypoint indices or ids' });
+            }
+            if (rowErrors.length) {
+                errors.push(...rowErrors);
+                return;
+            }
+
+            pois.push({
+                id: String(row.id ?? i),
+                title: row.title ?? row.name ?? '',
+                body: row.body ?? row.description ?? '',
+                media: row.media ?? row.mediaUrl ?? null,
+                position,
+                visibleFrom
+            });
+        });
+        return pois;
+    }
+
+    _readCsvNumber(cells, column, line, field, errors, required) {
+        const value = column === undefined ? undefined : cells[column];
+        if (value === undefined || value === '') {
+            if (required) {
+                errors.push({ line, column: column === undefined ? field : column + 1, reason: `missing ${field}` });
+            }
+            return null;
+        }
+        const n = Number(value);
+        if (Number.isNaN(n)) {
+            errors.push({ line, column: column + 1, reason: `"${value}" is not a number` });
+            return null;
+        }
+        return n;
+    }
+
+    _readJsonMetadata(row, line, errors) {
+        const meta = { ...(row.metadata ?? row.meta ?? {}) };
+        for (let i = 0; i < METADATA_FIELDS.length; i++) {
+            const field = METADATA_FIELDS[i];
+            if (row[field] !== undefined && row[field] !== null) {
+                meta[field] = row[field];
+            }
+        }
+        this._validateMetadata(meta, line, (field) => field, errors);
+        return meta;
+    }
+
+    _validateMetadata(meta, line, columnOf, errors) {
+        METADATA_NUMBER_FIELDS.forEach((field) => {
+            if (meta[field] === undefined || meta[field] === null) return;
+            const value = Number(meta[field]);
+            if (!Number.isFinite(value) || value <= 0) {
+                errors.push({ line, column: columnOf(field), reason: `${field} must be a positive number` });
+                return;
+            }
+            meta[field] = value;
+        });
+        METADATA_TCB_FIELDS.forEach((field) => {
+            if (meta[field] === undefined || meta[field] === null) return;
+            const value = Number(meta[field]);
+            if (!Number.isFinite(value) || value < -1 || value > 1) {
+                errors.push({ line, column: columnOf(field), reason: `${field} must be a number between -1 and 1` });
+                return;
+            }
+            meta[field] = value;
+        });
+    }
+
+    _readVec3(value, line, column, errors, required) {
+        if (value === undefined || value === null) {
+            if (required) {
+                errors.push({ line, column, reason: `missing ${column}` });
+            }
+            return null;
+        }
+        const parts = Array.isArray(value) ? value : [value.x, value.y, value.z];
+        const nums = parts.slice(0, 3).map((n) => (typeof n === 'string' && n.trim() === '' ? NaN : Number(n)));
+        if (parts.length < 3 || nums.some((n) => !Number.isFinite(n))) {
+            errors.push({ line, column, reason: `${column} must be three numbers` });
+            return null;
+        }
+        return new Vec3(nums[0], nums[1], nums[2]);
+    }
+
+    _readPause(value, line, column, errors) {
+        if (value === undefined || value === null || value === '') return 0;
+        const pause = Number(value);
+        if (!Number.isFinite(pause) || pause < 0) {
+            errors.push({ line, column, reason: `${column} must be a non-negative number of seconds` });
+            return 0;
         }
-        const arr = Array.isArray(value) ? value : [0, 0, 0];
-        return new Vec3(Number(arr[0]) || 0, Number(arr[1]) || 0, Number(arr[2]) || 0);
+        return pause;
     }
 
     _toText(data) {
@@ -205,4 +551,4 @@ class WaypointFetcher extends Script {
     }
 }
 
-export { WaypointFetcher };
+export { WaypointFetcher, WaypointLoadError };
@@ -1,10 +1,23 @@
 import {
+    BoundingBox,
+    Ray,
     Script,
     Vec3
 } from 'playcanvas';
 
 const EPSILON = 1e-6;
 
+const tmpV1 = new Vec3();
+const tmpV2 = new Vec3();
+const tmpRay = new Ray();
+
+// Catmull-Rom parameterizations selectable by curve type
+const CATMULL_ALPHAS = {
+    uniform: 0,
+    centripetal: 0.5,
+    chordal: 1
+};
+
 class WaypointPathBuilder extends Script {
     static scriptName = 'waypointPathBuilder';
     static attributes = {
@@ -23,19 +36,81 @@ class WaypointPathBuilder extends Script {
             title: 'Min Samples',
             default: 24
         },
+        curveType: {
+            type: 'string',
+            title: 'Curve Type',
+            default: 'catmull-rom'
+        },
         catmullAlpha: {
             type: 'number',
             title: 'Catmull Alpha',
             default: 0.7
+        },
+        tension: {
+            type: 'number',
+            title: 'Tension',
+            default: 0
+        },
+        continuity: {
+            type: 'number',
+            title: 'Continuity',
+            default: 0
+        },
+        bias: {
+            type: 'number',
+            title: 'Bias',
+            default: 0
+        },
+        closed: {
+            type: 'boolean',
+            title: 'Closed Loop',
+            default: false
+        },
+        collisionCheck: {
+            type: 'string',
+            title: 'Collision Check',
+            default: 'none'
+        },
+        collisionRadius: {
+            type: 'number',
+            title: 'Collision Radius',
+            default: 0.3
+        },
+        collisionTag: {
+            type: 'string',
+            title: 'Collision Tag',
+            default: ''
+        },
+        autoCorrect: {
+            type: 'boolean',
+            title: 'Auto Correct Collisions',
+            default: false
+        },
+        maxCorrections: {
+            type: 'number',
+            title: 'Max Corrections Per Segment',
+            default: 8
         }
     };
 
     autoBuild = true;
     sampleDensity = 6;
     minSamples = 24;
+    curveType = 'catmull-rom';
     catmullAlpha = 0.7;
+    tension = 0;
+    continuity = 0;
+    bias = 0;
+    closed = false;
+    collisionCheck = 'none';
+    collisionRadius = 0.3;
+    collisionTag = '';
+    autoCorrect = false;
+    maxCorrections = 8;
 
+    _paths = new Map();
     _boundOnWaypoints = null;
+    _boundOnRoute = null;
 
     initialize() {
         this._boundOnWaypoints = (data) => {
@@ -43,23 +118,69 @@ class WaypointPathBuilder extends Script {
                 this.buildPath(data);
             }
         };
+        this._boundOnRoute = (data) => {
+            if (this.autoBuild) {
+                this.buildRoute(data);
+            }
+        };
         this.app.on('waypoints:loaded', this._boundOnWaypoints);
+        this.app.on('waypoints:route:loaded', this._boundOnRoute);
     }
 
     destroy() {
         if (this._boundOnWaypoints) {
             this.app.off('waypoints:loaded', this._boundOnWaypoints);
         }
+        if (this._boundOnRoute) {
+            this.app.off('waypoints:route:loaded', this._boundOnRoute);
+        }
     }
 
     buildPath(data) {
+        // the route of the global event has usually just been built from its scoped event
+        const cached = this._paths.get(data?.route);
+        const payload = cached?.data === data ? cached.path : this.buildRoute(data);
+        if (!payload) return null;
+
+        this.app.fire('path:ready', payload);
+        return payload;
+    }
+
+    buildRoute(data) {
+        const payload = this._createPath(data);
+        if (payload?.warnings.length || payload?.corrections.length) {
+            this.app.fire('path:warnings', {
+                route: payload.route,
+                warnings: payload.warnings,
+                corrections: payload.corrections
+            });
+        }
+        if (!payload?.route) return payload;
+
+        this._paths.set(payload.route, { data, path: payload });
+        this.app.fire('path:route:ready', payload);
+        this.app.fire(`path:ready:${payload.route}`, payload);
+        return payload;
+    }
+
+    getPath(route) {
+        return this._paths.get(route)?.path ?? null;
+    }
+
+    _createPath(data) {
         if (!data?.positions?.length) return null;
 
-        const positions = data.positions;
-        const rotations = data.rotations || [];
-        const pauses = data.pauses || [];
+        // routes can opt in or out of the attribute, e.g. one-off navigation routes are never closed
+        const closed = (data.closed ?? this.closed) && data.positions.length > 2;
+        const source = closed ? this._closeLoop(data) : data;
+        const positions = source.positions;
+        const rotations = source.rotations || [];
+        const pauses = source.pauses || [];
 
-        const segments = this._buildSegments(positions, pauses);
+        const segments = this._buildSegments(positions, pauses, closed);
+        const blockers = this._getBlockers();
+        const warnings = [];
+        const corrections = [];
         const built = [];
 
         for (let i = 0; i < segments.length; i++) {
@@ -73,11 +194,51 @@ class WaypointPathBuilder extends Script {
             }
             const distance = this._chainLength(points);
             const sampleCount = Math.max(this.minSamples, Math.ceil(distance * this.sampleDensity));
-            const samples = this._sampleCurve(points, segment.prevPoint, segment.nextPoint, sampleCount, this.catmullAlpha);
+
+            const inserted = [];
+            let sampled = this._sampleSegment(source, segment, points, inserted, sampleCount);
+            let hits = blockers ? this._findCollisions(sampled.samples, blockers) : [];
+            while (hits.length && this.autoCorrect && inserted.length < this.maxCorrections) {
+                const correction = this._createCorrection(points, sampled, hits[0], inserted, blockers);
+                if (!correction) break;
+                inserted.push(correction);
+                sampled = this._sampleSegment(source, segment, points, inserted, sampleCount);
+                hits = this._findCollisions(sampled.samples, blockers);
+            }
+
+            const { samples, knots } = sampled;
+            const segmentIndex = built.length;
+            hits.forEach((hit) => {
+                const k = this._getSpan(knots, hit.sampleIndex);
+                warnings.push({
+                    segmentIndex,
+                    sampleIndex: hit.sampleIndex,
+                    sampleEnd: hit.sampleEnd,
+                    waypointIndex: segment.start + k,
+                    point: hit.point,
+                    normal: hit.normal,
+                    entity: hit.entity,
+                    // false when the waypoints either side cannot see each other, which no
+                    // corrective control point can fix
+                    lineOfSight: !this._testSegment(points[k], points[k + 1] ?? points[k], blockers)
+                });
+            });
+            inserted.forEach((correction) => {
+                corrections.push({
+                    segmentIndex,
+                    waypointIndex: segment.start + correction.span,
+                    position: correction.position.clone()
+                });
+            });
+
+            const lengths = this._cumulativeLengths(samples);
             built.push({
                 startIndex: segment.start,
                 endIndex: segment.end,
                 samples,
+                knots,
+                lengths,
+                length: lengths[lengths.length - 1],
                 distance
             });
         }
@@ -86,14 +247,186 @@ class WaypointPathBuilder extends Script {
             segments: built,
             positions,
             rotations,
-            pauses
+            pauses,
+            lookAts: source.lookAts || [],
+            lookAtEntities: source.lookAtEntities || [],
+            metadata: source.metadata || [],
+            handlesIn: source.handlesIn || [],
+            handlesOut: source.handlesOut || [],
+            route: data.route ?? null,
+            closed,
+            warnings,
+            corrections
         };
 
-        this.app.fire('path:ready', payload);
         return payload;
     }
 
-    _buildSegments(positions, pauses) {
+    _sampleSegment(source, segment, points, inserted, sampleCount) {
+        // corrective control points are sampled like waypoints but get no knot of their own
+        const entries = [];
+        points.forEach((position, j) => {
+            entries.push({ position, index: segment.start + j });
+            const corrections = inserted.filter((correction) => correction.span === j).sort((a, b) => a.u - b.u);
+            corrections.forEach((correction) => entries.push({ position: correction.position, index: -1 }));
+        });
+        const spanPoints = entries.map((entry) => entry.position);
+        const indices = entries.map((entry) => entry.index);
+
+        const knots = [];
+        let samples;
+        if (this.curveType === 'bezier') {
+            const ins = indices.map((index) => source.handlesIn?.[index] ?? null);
+            const outs = indices.map((index) => source.handlesOut?.[index] ?? null);
+            samples = this._sampleBezier(spanPoints, ins, outs, segment.prevPoint, segment.nextPoint, sampleCount, knots);
+        } else if (this.curveType === 'kochanek-bartels') {
+            const params = this._getTcb(source.metadata, indices);
+            samples = this._sampleKochanekBartels(spanPoints, params, segment.prevPoint, segment.nextPoint, sampleCount, knots);
+        } else if (this.curveType === 'bspline') {
+            samples = this._sampleBSpline(spanPoints, segment.wrapStart ? segment.prevPoint : null, segment.wrapEnd ? segment.nextPoint : null, sampleCount, knots);
+        } else {
+            const alpha = CATMULL_ALPHAS[this.curveType] ?? this.catmullAlpha;
+            samples = this._sampleCurve(spanPoints, segment.prevPoint, segment.nextPoint, sampleCount, alpha, knots);
+        }
+
+        return {
+            samples,
+            // sample index of every waypoint in the segment
+            knots: knots.filter((_, j) => indices[j] !== -1)
+        };
+    }
+
+    _getBlockers() {
+        if (this.collisionCheck === 'physics') {
+            const rigidbody = /** @type {any} */ (this.app.systems).rigidbody;
+            if (!rigidbody) {
+                console.warn('WaypointPathBuilder: physics collision check needs the rigidbody system');
+                return null;
+            }
+            return { rigidbody, boxes: null };
+        }
+        if (this.collisionCheck !== 'render') return null;
+        if (!this.collisionTag) {
+            // the bounds of a room or shell mesh contain its whole interior and would block every sample
+            console.warn('WaypointPathBuilder: render collision check needs a collision tag, skipping the check');
+            return null;
+        }
+
+        // world-space mesh bounds grown by the camera clearance
+        const boxes = [];
+        const grow = new Vec3(this.collisionRadius, this.collisionRadius, this.collisionRadius);
+        this.app.root.findComponents('render').forEach((render) => {
+            const entity = render.entity;
+            if (!render.enabled || !entity.enabled) return;
+            if (!entity.tags.has(this.collisionTag)) return;
+            render.meshInstances.forEach((meshInstance) => {
+                const aabb = meshInstance.aabb;
+                boxes.push({
+                    box: new BoundingBox(aabb.center.clone(), aabb.halfExtents.clone().add(grow)),
+                    entity
+                });
+            });
+        });
+        return { rigidbody: null, boxes };
+    }
+
+    _findCollisions(samples, blockers) {
+        // consecutive blocked sample pairs are reported as one collision
+        const hits = [];
+        let current = null;
+        for (let i = 1; i < samples.length; i++) {
+            const hit = this._testSegment(samples[i - 1], samples[i], blockers);
+            if (!hit) {
+                current = null;
+                continue;
+            }
+            if (current) {
+                current.sampleEnd = i;
+                continue;
+            }
+            current = { sampleIndex: i - 1, sampleEnd: i, ...hit };
+            hits.push(current);
+        }
+        return hits;
+    }
+
+    _testSegment(from, to, blockers) {
+        if (!blockers) return null;
+
+        if (blockers.rigidbody) {
+            const options = this.collisionTag ? { filterTags: [this.collisionTag] } : {};
+            const result = blockers.rigidbody.raycastFirst(from, to, options);
+            return result ? { point: result.point.clone(), normal: result.normal.clone(), entity: result.entity.name } : null;
+        }
+
+        const length = from.distance(to);
+        tmpRay.set(from, tmpV1.sub2(to, from).normalize());
+        for (let i = 0; i < blockers.boxes.length; i++) {
+            const { box, entity } = blockers.boxes[i];
+            if (box.containsPoint(from)) {
+                return { point: from.clone(), normal: null, entity: entity.name };
+            }
+            if (box.intersectsRay(tmpRay, tmpV2) && from.distance(tmpV2) <= length) {
+                return { point: tmpV2.clone(), normal: null, entity: entity.name };
+            }
+        }
+        return null;
+    }
+
+    _createCorrection(points, sampled, hit, inserted, blockers) {
+        const k = this._getSpan(sampled.knots, hit.sampleIndex);
+        const a = points[k];
+        const b = points[k + 1];
+        if (!b || this._testSegment(a, b, blockers)) return null;
+
+        // pull the curve back onto the clear straight line between the two waypoints, at the
+        // point closest to where it left it
+        const chord = tmpV1.sub2(b, a);
+        const lengthSq = chord.lengthSq();
+        const offset = tmpV2.sub2(sampled.samples[hit.sampleIndex], a);
+        const u = Math.min(Math.max(lengthSq > EPSILON ? offset.dot(chord) / lengthSq : 0.5, 0.15), 0.85);
+        if (inserted.some((correction) => correction.span === k && Math.abs(correction.u - u) < 0.05)) {
+            return null;
+        }
+        return { span: k, u, position: new Vec3().lerp(a, b, u) };
+    }
+
+    _getSpan(knots, sampleIndex) {
+        let k = 0;
+        while (k + 2 < knots.length && knots[k + 1] <= sampleIndex) {
+            k++;
+        }
+        return k;
+    }
+
+    _closeLoop(data) {
+        const count = data.positions.length;
+        if (data.positions[0].distance(data.positions[count - 1]) < EPSILON) return data;
+
+        // end on a copy of the first waypoint; its pause is left to the first waypoint so a
+        // looping camera does not hold twice at the seam
+        const wrap = (values, last) => {
+            const wrapped = [];
+            for (let i = 0; i < count; i++) {
+                wrapped.push(values?.[i] ?? null);
+            }
+            wrapped.push(last);
+            return wrapped;
+        };
+        return {
+            ...data,
+            positions: wrap(data.positions, data.positions[0].clone()),
+            rotations: wrap(data.rotations, data.rotations?.[0] ?? null),
+            pauses: wrap(data.pauses, 0).map((pause) => pause ?? 0),
+            lookAts: wrap(data.lookAts, data.lookAts?.[0] ?? null),
+            lookAtEntities: wrap(data.lookAtEntities, data.lookAtEntities?.[0] ?? null),
+            metadata: wrap(data.metadata, data.metadata?.[0] ?? {}),
+            handlesIn: wrap(data.handlesIn, data.handlesIn?.[0] ?? null),
+            handlesOut: wrap(data.handlesOut, null)
+        };
+    }
+
+    _buildSegments(positions, pauses, closed = false) {
         const length = positions.length;
         const stops = new Set();
         stops.add(0);
@@ -109,11 +442,21 @@ class WaypointPathBuilder extends Script {
             const start = indices[i];
             const end = indices[i + 1];
             if (end <= start) continue;
-            const prevIndex = start > 0 ? start - 1 : null;
-            const nextIndex = end + 1 < length ? end + 1 : null;
+            // a closed loop wraps its control points through the seam, where first and last coincide
+            const prevIndex = start > 0 ? start - 1 : (closed ? length - 2 : null);
+            const nextIndex = end + 1 < length ? end + 1 : (closed ? 1 : null);
             const prevPoint = prevIndex !== null ? positions[prevIndex].clone() : null;
             const nextPoint = nextIndex !== null ? positions[nextIndex].clone() : null;
-            segments.push({ start, end, prevPoint, nextPoint });
+            // B-splines only run through the seam when the camera does not stop there
+            const seam = closed && !((pauses[0] ?? 0) > 0) && !((pauses[length - 1] ?? 0) > 0);
+            segments.push({
+                start,
+                end,
+                prevPoint,
+                nextPoint,
+                wrapStart: seam && start === 0,
+                wrapEnd: seam && end === length - 1
+            });
         }
         return segments;
     }
@@ -126,40 +469,178 @@ class WaypointPathBuilder extends Script {
         return distance;
     }
 
-    _sampleCurve(points, prevPoint, nextPoint, sampleCount, alpha) {
-        if (points.length < 2) return points.map((p) => p.clone());
-
-        const segmentLengths = [];
+    _cumulativeLengths(points) {
+        const lengths = [0];
         for (let i = 1; i < points.length; i++) {
-            segmentLengths.push(points[i].distance(points[i - 1]));
+            lengths.push(lengths[i - 1] + points[i].distance(points[i - 1]));
         }
+        return lengths;
+    }
+
+    _sampleCurve(points, prevPoint, nextPoint, sampleCount, alpha, knots = null) {
+        if (points.length < 2) return points.map((p) => p.clone());
 
-        const totalLength = this._chainLength(points) || 1;
         const extended = [];
-        const startExtra = prevPoint ?? this._extrapolate(points[0], points[1] || points[0], -2);
+        const startExtra = prevPoint ?? this._extrapolate(points[0], points[1] || points[0], 2);
         const endExtra = nextPoint ?? this._extrapolate(points[points.length - 1], points[points.length - 2] || points[points.length - 1], 2);
         extended.push(startExtra);
         points.forEach((point) => extended.push(point.clone()));
         extended.push(endExtra);
 
+        return this._sampleSpans(points, sampleCount, knots, points[points.length - 1], (i, t) => {
+            return this._catmullRom(extended[i], extended[i + 1], extended[i + 2], extended[i + 3], t, alpha);
+        });
+    }
+
+    _sampleBezier(points, handlesIn, handlesOut, prevPoint, nextPoint, sampleCount, knots = null) {
+        if (points.length < 2) return points.map((p) => p.clone());
+
+        // authored handles are offsets from their waypoint; a lone handle is mirrored and a
+        // waypoint without handles gets the tangent a uniform Catmull-Rom curve would use
+        const count = points.length;
+        const tangents = points.map((point, i) => {
+            const prev = i > 0 ? points[i - 1] : (prevPoint ?? this._reflect(point, points[i + 1]));
+            const next = i < count - 1 ? points[i + 1] : (nextPoint ?? this._reflect(point, points[i - 1]));
+            return next.clone().sub(prev).mulScalar(1 / 6);
+        });
+        const outHandle = (i) => handlesOut[i] ?? (handlesIn[i] ? handlesIn[i].clone().mulScalar(-1) : tangents[i]);
+        const inHandle = (i) => handlesIn[i] ?? (handlesOut[i] ? handlesOut[i].clone().mulScalar(-1) : tangents[i].clone().mulScalar(-1));
+
+        const controls = [];
+        for (let i = 0; i < count - 1; i++) {
+            controls.push([
+                points[i],
+                points[i].clone().add(outHandle(i)),
+                points[i + 1].clone().add(inHandle(i + 1)),
+                points[i + 1]
+            ]);
+        }
+
+        return this._sampleSpans(points, sampleCount, knots, points[count - 1], (i, t) => {
+            return this._bezier(controls[i], t);
+        });
+    }
+
+    _sampleKochanekBartels(points, params, prevPoint, nextPoint, sampleCount, knots = null) {
+        if (points.length < 2) return points.map((p) => p.clone());
+
+        const count = points.length;
+        const extended = [
+            prevPoint ?? this._reflect(points[0], points[1]),
+            ...points,
+            nextPoint ?? this._reflect(points[count - 1], points[count - 2])
+        ];
+
+        // incoming and outgoing Hermite tangents at each waypoint, scaled for uneven spacing so
+        // short spans next to long ones do not overshoot
+        const tangentsIn = [];
+        const tangentsOut = [];
+        for (let i = 0; i < count; i++) {
+            const { tension: t, continuity: c, bias: b } = params[i];
+            const before = extended[i + 1].clone().sub(extended[i]);
+            const after = extended[i + 2].clone().sub(extended[i + 1]);
+            const lengthBefore = before.length();
+            const lengthAfter = after.length();
+            const span = lengthBefore + lengthAfter;
+
+            const tangentIn = before.clone().mulScalar((1 - t) * (1 - c) * (1 + b) * 0.5);
+            tangentIn.add(tmpV1.copy(after).mulScalar((1 - t) * (1 + c) * (1 - b) * 0.5));
+            const tangentOut = before.clone().mulScalar((1 - t) * (1 + c) * (1 + b) * 0.5);
+            tangentOut.add(tmpV1.copy(after).mulScalar((1 - t) * (1 - c) * (1 - b) * 0.5));
+
+            tangentsIn.push(tangentIn.mulScalar(span > EPSILON ? 2 * lengthBefore / span : 1));
+            tangentsOut.push(tangentOut.mulScalar(span > EPSILON ? 2 * lengthAfter / span : 1));
+        }
+
+        // each span as the cubic Bezier equivalent of its Hermite form
+        const controls = [];
+        for (let i = 0; i < count - 1; i++) {
+            controls.push([
+                points[i],
+                points[i].clone().add(tangentsOut[i].clone().mulScalar(1 / 3)),
+                points[i + 1].clone().sub(tangentsIn[i + 1].clone().mulScalar(1 / 3)),
+                points[i + 1]
+            ]);
+        }
+
+        return this._sampleSpans(points, sampleCount, knots, points[count - 1], (i, t) => {
+            return this._bezier(controls[i], t);
+        });
+    }
+
+    _getTcb(metadata, indices) {
+        // per-waypoint values override the attributes
+        return indices.map((index) => {
+            const meta = metadata?.[index];
+            return {
+                tension: meta?.tension ?? this.tension,
+                continuity: meta?.continuity ?? this.continuity,
+                bias: meta?.bias ?? this.bias
+            };
+        });
+    }
+
+    _sampleBSpline(points, prevPoint, nextPoint, sampleCount, knots = null) {
+        if (points.length < 2) return points.map((p) => p.clone());
+
+        // reflected end points make the spline start and end on the outer waypoints; it only
+        // approximates the waypoints in between
+        const count = points.length;
+        const extended = [
+            prevPoint ?? this._reflect(points[0], points[1]),
+            ...points,
+            nextPoint ?? this._reflect(points[count - 1], points[count - 2])
+        ];
+        const evaluate = (i, t) => this._bspline(extended[i], extended[i + 1], extended[i + 2], extended[i + 3], t);
+
+        return this._sampleSpans(points, sampleCount, knots, evaluate(count - 2, 1), evaluate);
+    }
+
+    _sampleSpans(points, sampleCount, knots, end, evaluate) {
+        const segmentLengths = [];
+        for (let i = 1; i < points.length; i++) {
+            segmentLengths.push(points[i].distance(points[i - 1]));
+        }
+
+        const totalLength = this._chainLength(points) || 1;
         const samples = [];
         const segments = points.length - 1;
         for (let i = 0; i < segments; i++) {
-            const p0 = extended[i];
-            const p1 = extended[i + 1];
-            const p2 = extended[i + 2];
-            const p3 = extended[i + 3];
             const ratio = segmentLengths[i] / totalLength;
             const steps = Math.max(4, Math.round(sampleCount * ratio));
+            knots?.push(samples.length);
             for (let j = 0; j < steps; j++) {
-                const t = j / steps;
-                samples.push(this._catmullRom(p0, p1, p2, p3, t, alpha));
+                samples.push(evaluate(i, j / steps));
             }
         }
-        samples.push(points[points.length - 1].clone());
+        knots?.push(samples.length);
+        samples.push(end.clone());
         return samples;
     }
 
+    _bezier(controls, t) {
+        const [p0, p1, p2, p3] = controls;
+        const u = 1 - t;
+        const v = new Vec3();
+        v.copy(p0).mulScalar(u * u * u);
+        v.add(tmpV1.copy(p1).mulScalar(3 * u * u * t));
+        v.add(tmpV1.copy(p2).mulScalar(3 * u * t * t));
+        v.add(tmpV1.copy(p3).mulScalar(t * t * t));
+        return v;
+    }
+
+    _bspline(p0, p1, p2, p3, t) {
+        // uniform cubic B-spline basis
+        const t2 = t * t;
+        const t3 = t2 * t;
+        const v = new Vec3();
+        v.copy(p0).mulScalar((1 - 3 * t + 3 * t2 - t3) / 6);
+        v.add(tmpV1.copy(p1).mulScalar((4 - 6 * t2 + 3 * t3) / 6));
+        v.add(tmpV1.copy(p2).mulScalar((1 + 3 * t + 3 * t2 - 3 * t3) / 6));
+        v.add(tmpV1.copy(p3).mulScalar(t3 / 6));
+        return v;
+    }
+
     _catmullRom(p0, p1, p2, p3, t, alpha) {
         const t0 = 0;
         const t1 = this._getT(t0, p0, p1, alpha);
@@ -184,9 +665,10 @@ class WaypointPathBuilder extends Script {
     }
 
     _lerpVec3(a, b, t) {
+        // no clamping: the Barry-Goldman pyramid extrapolates beyond the outer control points,
+        // and clamping there reduces every span to a straight line with a kink at each waypoint
         const v = new Vec3();
-        const alpha = Math.min(Math.max(t, 0), 1);
-        v.lerp(a, b, alpha);
+        v.lerp(a, b, t);
         return v;
     }
 
@@ -197,6 +679,10 @@ class WaypointPathBuilder extends Script {
         return numerator / divisor;
     }
 
+    _reflect(point, neighbour) {
+        return point.clone().mulScalar(2).sub(neighbour);
+    }
+
     _extrapolate(point, reference, lengthFactor) {
         const dir = point.clone().sub(reference);
         if (dir.lengthSq() < EPSILON) {
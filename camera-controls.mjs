@@ -1,5 +1,6 @@
 import {
     math,
+    BoundingBox,
     DualGestureSource,
     FlyController,
     FocusController,
@@ -8,14 +9,23 @@ import {
     KeyboardMouseSource,
     MultiTouchSource,
     OrbitController,
+    OrientedBox,
+    Plane,
     Pose,
     PROJECTION_PERSPECTIVE,
+    Quat,
     Script,
     Vec2,
     Vec3
 } from 'playcanvas';
 
-/** @import { CameraComponent, InputController } from 'playcanvas' */
+import { WalkController } from './walk-controller.mjs';
+
+/** @import { CameraComponent, CollisionComponent, Entity, InputController } from 'playcanvas' */
+
+/**
+ * @typedef {BoundingBox|OrientedBox|Entity|Plane[]} CameraBounds
+ */
 
 /**
  * @typedef {object} CameraControlsState
@@ -28,6 +38,21 @@ import {
 
 const tmpV1 = new Vec3();
 const tmpV2 = new Vec3();
+const tmpV3 = new Vec3();
+const tmpV4 = new Vec3();
+const tmpV5 = new Vec3();
+const tmpV6 = new Vec3();
+const tmpV7 = new Vec3();
+const tmpQ1 = new Quat();
+
+const boxAxes = [new Vec3(), new Vec3(), new Vec3()];
+const boxPlanes = Array.from({ length: 6 }, () => new Plane());
+
+// upper limit on sweep steps per frame, so very fast moves stay affordable
+const MAX_SWEEP_STEPS = 32;
+
+// how far below the feet walk mode looks for a floor
+const FLOOR_PROBE_DISTANCE = 100;
 
 const pose = new Pose();
 
@@ -114,6 +139,133 @@ const screenToWorld = (camera, dx, dy, dz, out = new Vec3()) => {
     return out;
 };
 
+/**
+ * Pushes a sphere out of an oriented box.
+ *
+ * @param {Vec3} position - The sphere center, updated in place.
+ * @param {number} radius - The sphere radius.
+ * @param {Vec3} center - The box center.
+ * @param {Quat} rotation - The box rotation.
+ * @param {Vec3} halfExtents - The box half extents.
+ * @returns {boolean} - True if the sphere was moved.
+ * @private
+ */
+const pushOutOfBox = (position, radius, center, rotation, halfExtents) => {
+    const inverse = tmpQ1.copy(rotation).invert();
+    const local = inverse.transformVector(tmpV3.sub2(position, center), tmpV3);
+    const offset = tmpV4.set(
+        local.x - math.clamp(local.x, -halfExtents.x, halfExtents.x),
+        local.y - math.clamp(local.y, -halfExtents.y, halfExtents.y),
+        local.z - math.clamp(local.z, -halfExtents.z, halfExtents.z)
+    );
+    const dist = offset.length();
+    if (dist >= radius) {
+        return false;
+    }
+
+    if (dist > 1e-6) {
+        offset.mulScalar((radius - dist) / dist);
+    } else {
+        // the center is inside the box, leave through the nearest face
+        const dx = halfExtents.x - Math.abs(local.x);
+        const dy = halfExtents.y - Math.abs(local.y);
+        const dz = halfExtents.z - Math.abs(local.z);
+        if (dx <= dy && dx <= dz) {
+            offset.set((local.x < 0 ? -1 : 1) * (dx + radius), 0, 0);
+        } else if (dy <= dz) {
+            offset.set(0, (local.y < 0 ? -1 : 1) * (dy + radius), 0);
+        } else {
+            offset.set(0, 0, (local.z < 0 ? -1 : 1) * (dz + radius));
+        }
+    }
+
+    position.add(rotation.transformVector(offset, offset));
+    return true;
+};
+
+/**
+ * Pushes a point out of a sphere.
+ *
+ * @param {Vec3} position - The point, updated in place.
+ * @param {Vec3} center - The sphere center.
+ * @param {number} radius - The sphere radius.
+ * @returns {boolean} - True if the point was moved.
+ * @private
+ */
+const pushOutOfSphere = (position, center, radius) => {
+    const offset = tmpV3.sub2(position, center);
+    const dist = offset.length();
+    if (dist >= radius) {
+        return false;
+    }
+    if (dist > 1e-6) {
+        position.copy(offset.mulScalar(radius / dist).add(center));
+    } else {
+        position.copy(center);
+        position.y += radius;
+    }
+    return true;
+};
+
+/**
+ * Writes the six outward facing planes of a box into the shared plane list.
+ *
+ * @param {Vec3} center - The box center.
+ * @param {Vec3[]} axes - The box axes, scaled to the half extents.
+ * @returns {Plane[]} - The planes.
+ * @private
+ */
+const getBoxPlanes = (center, axes) => {
+    for (let i = 0; i < 3; i++) {
+        const half = axes[i].length();
+        const normal = tmpV3.copy(axes[i]).mulScalar(half > 0 ? 1 / half : 0);
+        const d = normal.dot(center);
+        boxPlanes[i * 2].normal.copy(normal);
+        boxPlanes[i * 2].distance = -(d + half);
+        boxPlanes[i * 2 + 1].normal.copy(normal).mulScalar(-1);
+        boxPlanes[i * 2 + 1].distance = d - half;
+    }
+    return boxPlanes;
+};
+
+/**
+ * Checks whether a point lies at least the given margin inside a convex volume.
+ *
+ * @param {Plane[]} planes - The outward facing planes of the volume.
+ * @param {Vec3} position - The point.
+ * @param {number} margin - The margin.
+ * @returns {boolean} - True if the point is inside.
+ * @private
+ */
+const insideConvex = (planes, position, margin) => {
+    return planes.every((plane) => plane.normal.dot(position) + plane.distance + margin <= 1e-4);
+};
+
+/**
+ * Moves a point into a convex volume by repeatedly projecting it back across the planes it is
+ * outside of. Motion along the planes is kept, which lets the camera slide along walls.
+ *
+ * @param {Plane[]} planes - The outward facing planes of the volume.
+ * @param {Vec3} position - The point, updated in place.
+ * @param {number} margin - The distance to keep from the planes.
+ * @private
+ */
+const projectConvex = (planes, position, margin) => {
+    for (let i = 0; i < 8; i++) {
+        let moved = false;
+        planes.forEach((plane) => {
+            const dist = plane.normal.dot(position) + plane.distance + margin;
+            if (dist > 0) {
+                position.sub(tmpV3.copy(plane.normal).mulScalar(dist));
+                moved = true;
+            }
+        });
+        if (!moved) {
+            return;
+        }
+    }
+};
+
 /**
  * @enum {string}
  */
@@ -147,6 +299,18 @@ class CameraControls extends Script {
      */
     _enableFly = true;
 
+    /**
+     * @type {boolean}
+     * @private
+     */
+    _enableWalk = false;
+
+    /**
+     * @type {string}
+     * @private
+     */
+    _floorTag = '';
+
     /**
      * @type {number}
      * @private
@@ -201,6 +365,12 @@ class CameraControls extends Script {
      */
     _flyController = new FlyController();
 
+    /**
+     * @type {WalkController}
+     * @private
+     */
+    _walkController = new WalkController();
+
     /**
      * @type {OrbitController}
      * @private
@@ -227,7 +397,7 @@ class CameraControls extends Script {
     _pose = new Pose();
 
     /**
-     * @type {'orbit' | 'fly' | 'focus'}
+     * @type {'orbit' | 'fly' | 'walk' | 'focus'}
      * @private
      */
     // @ts-ignore
@@ -245,6 +415,42 @@ class CameraControls extends Script {
         touches: 0
     };
 
+    /**
+     * @type {string}
+     * @private
+     */
+    _collisionTag = '';
+
+    /**
+     * @type {string}
+     * @private
+     */
+    _boundsTag = '';
+
+    /**
+     * @type {CollisionComponent[] | null}
+     * @private
+     */
+    _colliders = null;
+
+    /**
+     * @type {Entity[] | null}
+     * @private
+     */
+    _boundsEntities = null;
+
+    /**
+     * @type {Entity[] | null}
+     * @private
+     */
+    _floorEntities = null;
+
+    /**
+     * @type {CameraBounds[]}
+     * @private
+     */
+    _bounds = [];
+
     /**
      * Enable fly camera controls.
      *
@@ -285,6 +491,112 @@ class CameraControls extends Script {
         return this._enableOrbit;
     }
 
+    /**
+     * Enable walk camera controls. Walking takes the place of flying: the camera keeps
+     * {@link CameraControls#eyeHeight} above the floor, climbs steps, falls off ledges and cannot
+     * move up or down freely. Floors are found by raycasting against the physics world, or
+     * against the render meshes of entities tagged {@link CameraControls#floorTag} when there is
+     * no physics.
+     *
+     * @attribute
+     * @title Enable Walk
+     * @type {boolean}
+     * @default false
+     */
+    set enableWalk(enable) {
+        this._enableWalk = enable;
+
+        if (this._mode === 'fly' || this._mode === 'walk') {
+            this._setMode(enable ? 'walk' : 'fly');
+        }
+    }
+
+    get enableWalk() {
+        return this._enableWalk;
+    }
+
+    /**
+     * The height of the eye above the floor in walk mode.
+     *
+     * @attribute
+     * @title Eye Height
+     * @type {number}
+     * @default 1.5
+     */
+    set eyeHeight(height) {
+        this._walkController.eyeHeight = height;
+    }
+
+    get eyeHeight() {
+        return this._walkController.eyeHeight;
+    }
+
+    /**
+     * The highest step climbed in walk mode. Larger drops are fallen under gravity.
+     *
+     * @attribute
+     * @title Step Height
+     * @type {number}
+     * @default 0.35
+     */
+    set stepHeight(height) {
+        this._walkController.stepHeight = height;
+    }
+
+    get stepHeight() {
+        return this._walkController.stepHeight;
+    }
+
+    /**
+     * The gravity acceleration when falling in walk mode.
+     *
+     * @attribute
+     * @title Gravity
+     * @type {number}
+     * @default 9.8
+     */
+    set gravity(gravity) {
+        this._walkController.gravity = gravity;
+    }
+
+    get gravity() {
+        return this._walkController.gravity;
+    }
+
+    /**
+     * Whether the eye bobs up and down while walking.
+     *
+     * @attribute
+     * @title Head Bob
+     * @type {boolean}
+     * @default false
+     */
+    set headBob(enable) {
+        this._walkController.headBob = enable;
+    }
+
+    get headBob() {
+        return this._walkController.headBob;
+    }
+
+    /**
+     * Only floors on entities with this tag are walked on. With physics this filters the
+     * raycast; without physics it is required and the render meshes of the tagged entities are
+     * used as floors.
+     *
+     * @attribute
+     * @title Floor Tag
+     * @type {string}
+     */
+    set floorTag(tag) {
+        this._floorTag = tag;
+        this._floorEntities = null;
+    }
+
+    get floorTag() {
+        return this._floorTag;
+    }
+
     /**
      * Enable panning.
      *
@@ -294,6 +606,18 @@ class CameraControls extends Script {
      */
     enablePan = true;
 
+    /**
+     * Whether the controls are suspended. While suspended another script drives the camera: input
+     * is still read every frame so nothing stale is applied later, but the camera transform is left
+     * untouched. Real input received while suspended is reported with an `input` event carrying
+     * the `source` (`mouse`, `wheel`, `keyboard`, `touch` or `gamepad`) and the `rotate` deltas
+     * the input would have applied. Call {@link CameraControls#reset} when resuming to continue
+     * from the camera's current transform.
+     *
+     * @type {boolean}
+     */
+    suspended = false;
+
     /**
      * The focus damping. A higher value means more damping. A value of 0 means no damping.
      * The damping is applied to the orbit mode.
@@ -340,6 +664,7 @@ class CameraControls extends Script {
      */
     set moveDamping(damping) {
         this._flyController.moveDamping = damping;
+        this._walkController.moveDamping = damping;
     }
 
     get moveDamping() {
@@ -384,6 +709,7 @@ class CameraControls extends Script {
      */
     set rotateDamping(damping) {
         this._flyController.rotateDamping = damping;
+        this._walkController.rotateDamping = damping;
         this._orbitController.rotateDamping = damping;
     }
 
@@ -475,6 +801,7 @@ class CameraControls extends Script {
         this._pitchRange.x = math.clamp(range.x, -360, 360);
         this._pitchRange.y = math.clamp(range.y, -360, 360);
         this._flyController.pitchRange = this._pitchRange;
+        this._walkController.pitchRange = this._pitchRange;
         this._orbitController.pitchRange = this._pitchRange;
     }
 
@@ -495,6 +822,7 @@ class CameraControls extends Script {
         this._yawRange.x = math.clamp(range.x, -360, 360);
         this._yawRange.y = math.clamp(range.y, -360, 360);
         this._flyController.yawRange = this._yawRange;
+        this._walkController.yawRange = this._yawRange;
         this._orbitController.yawRange = this._yawRange;
     }
 
@@ -548,6 +876,66 @@ class CameraControls extends Script {
      */
     gamepadDeadZone = new Vec2(0.3, 0.6);
 
+    /**
+     * Enable collision in the fly and orbit modes. The camera is treated as a sphere of
+     * {@link CameraControls#collisionRadius} that is swept against the collision components in
+     * the scene and slides along any surface it touches. Box, sphere, capsule, cylinder and cone
+     * shapes are tested directly; mesh and compound shapes use the bounds of the entity's render
+     * meshes.
+     *
+     * @attribute
+     * @title Enable Collision
+     * @type {boolean}
+     */
+    enableCollision = false;
+
+    /**
+     * The radius of the camera's collision sphere. The camera also keeps this distance from the
+     * walls of the room bounds, whether or not collision is enabled.
+     *
+     * @attribute
+     * @title Collision Radius
+     * @type {number}
+     */
+    collisionRadius = 0.3;
+
+    /**
+     * Only collision components on entities with this tag block the camera. Leave empty to
+     * collide with every collision component in the scene.
+     *
+     * @attribute
+     * @title Collision Tag
+     * @type {string}
+     */
+    set collisionTag(tag) {
+        this._collisionTag = tag;
+        this._colliders = null;
+    }
+
+    get collisionTag() {
+        return this._collisionTag;
+    }
+
+    /**
+     * Entities with this tag define the room bounds. Each one is a box covering the unit cube
+     * of its world transform, so position, rotate and scale the entity to fit the room. The
+     * camera stays inside the union of all bounds, so overlapping boxes at the doorways let it
+     * move between rooms. Leave empty to use only the bounds added with
+     * {@link CameraControls#addBounds}.
+     *
+     * @attribute
+     * @title Bounds Tag
+     * @type {string}
+     */
+    set boundsTag(tag) {
+        this._boundsTag = tag;
+        this._boundsEntities = null;
+    }
+
+    get boundsTag() {
+        return this._boundsTag;
+    }
+
     constructor({ app, entity, ...args }) {
         super({ app, entity, ...args });
         if (!this.entity.camera) {
@@ -559,6 +947,9 @@ class CameraControls extends Script {
         // set orbit controller defaults
         this._orbitController.zoomRange = new Vec2(0.01, Infinity);
 
+        // walk on the scene's floors
+        this._walkController.floorTest = (origin) => this._findFloor(origin);
+
         // attach input
         this._desktopInput.attach(this.app.graphicsDevice.canvas);
         this._orbitMobileInput.attach(this.app.graphicsDevice.canvas);
@@ -567,13 +958,13 @@ class CameraControls extends Script {
 
         // expose ui events
         this._flyMobileInput.on('joystick:position:left', ([bx, by, sx, sy]) => {
-            if (this._mode !== 'fly') {
+            if (this._mode !== 'fly' && this._mode !== 'walk') {
                 return;
             }
             this.app.fire(`${this.joystickEventName}:left`, bx, by, sx, sy);
         });
         this._flyMobileInput.on('joystick:position:right', ([bx, by, sx, sy]) => {
-            if (this._mode !== 'fly') {
+            if (this._mode !== 'fly' && this._mode !== 'walk') {
                 return;
             }
             this.app.fire(`${this.joystickEventName}:right`, bx, by, sx, sy);
@@ -608,26 +999,34 @@ class CameraControls extends Script {
         this._gamepadInput.destroy();
 
         this._flyController.destroy();
+        this._walkController.destroy();
         this._orbitController.destroy();
     }
 
     /**
-     * @param {'orbit' | 'fly' | 'focus'} mode - The mode to set.
+     * @param {'orbit' | 'fly' | 'walk' | 'focus'} mode - The mode to set.
      * @private
      */
     _setMode(mode) {
+        // walking takes the place of flying
+        const move = this.enableWalk ? 'walk' : 'fly';
+        const enableMove = this.enableFly || this.enableWalk;
+        if (mode === 'fly' || mode === 'walk') {
+            mode = move;
+        }
+
         // override mode depending on enabled features
         switch (true) {
-            case this.enableFly && !this.enableOrbit: {
-                mode = 'fly';
+            case enableMove && !this.enableOrbit: {
+                mode = move;
                 break;
             }
-            case !this.enableFly && this.enableOrbit: {
+            case !enableMove && this.enableOrbit: {
                 mode = 'orbit';
                 break;
             }
-            case !this.enableFly && !this.enableOrbit: {
-                console.warn('CameraControls: both fly and orbit modes are disabled');
+            case !enableMove && !this.enableOrbit: {
+                console.warn('CameraControls: fly, walk and orbit modes are all disabled');
                 return;
             }
         }
@@ -653,6 +1052,10 @@ class CameraControls extends Script {
                 this._controller = this._flyController;
                 break;
             }
+            case 'walk': {
+                this._controller = this._walkController;
+                break;
+            }
             case 'focus': {
                 this._controller = this._focusController;
                 break;
@@ -693,10 +1096,333 @@ class CameraControls extends Script {
     /**
      * @param {Vec3} focus - The focus point.
      * @param {Vec3} position - The start point.
+     * @param {boolean} [smooth] - Whether to move smoothly to the new pose. Pass false to continue
+     * immediately from the given pose.
      */
-    reset(focus, position) {
+    reset(focus, position, smooth = true) {
         this._setMode('focus');
-        this._controller.attach(pose.look(position, focus));
+        this._controller.attach(pose.look(position, focus), smooth);
+    }
+
+    /**
+     * Fires an `input` event for any real input received while suspended.
+     *
+     * @param {number} dt - The time delta.
+     * @param {number[]} mouse - The mouse deltas.
+     * @param {number[]} wheel - The wheel deltas.
+     * @param {number[]} touch - The touch deltas.
+     * @param {number[]} pinch - The pinch deltas.
+     * @param {number[]} leftInput - The left mobile input.
+     * @param {number[]} rightInput - The right mobile input.
+     * @param {number[]} leftStick - The left gamepad stick, after the dead zone.
+     * @param {number[]} rightStick - The right gamepad stick, after the dead zone.
+     * @private
+     */
+    _fireSuspendedInput(dt, mouse, wheel, touch, pinch, leftInput, rightInput, leftStick, rightStick) {
+        const rotateMult = this.rotateSpeed * 60 * dt;
+        const rotateJoystickMult = this.rotateSpeed * this.rotateJoystickSens * 60 * dt;
+        const rotate = [0, 0];
+        let source = null;
+
+        // only a drag counts for the mouse, so clicks on UI over the canvas do not interrupt
+        const dragging = this._state.mouse.some((b) => b > 0);
+        if (dragging && (mouse[0] !== 0 || mouse[1] !== 0)) {
+            source = 'mouse';
+            rotate[0] += mouse[0] * rotateMult;
+            rotate[1] += mouse[1] * rotateMult;
+        } else if (wheel[0] !== 0) {
+            source = 'wheel';
+        } else if (this._state.axis.length() > 0) {
+            source = 'keyboard';
+        }
+
+        if (touch[0] !== 0 || touch[1] !== 0 || pinch[0] !== 0 ||
+            leftInput[0] !== 0 || leftInput[1] !== 0 || rightInput[0] !== 0 || rightInput[1] !== 0) {
+            source ??= 'touch';
+            if (this._state.touches === 1) {
+                rotate[0] += touch[0] * rotateMult;
+                rotate[1] += touch[1] * rotateMult;
+            }
+            rotate[0] += rightInput[0] * rotateMult;
+            rotate[1] += rightInput[1] * rotateMult;
+        }
+
+        if (leftStick[0] !== 0 || leftStick[1] !== 0 || rightStick[0] !== 0 || rightStick[1] !== 0) {
+            source ??= 'gamepad';
+            rotate[0] += rightStick[0] * rotateJoystickMult;
+            rotate[1] += rightStick[1] * rotateJoystickMult;
+        }
+
+        if (source) {
+            this.fire('input', { source, rotate });
+        }
+    }
+
+    /**
+     * Adds a room bounding volume the camera is kept inside of. A convex volume is given as a list
+     * of planes with their normals pointing out of the volume.
+     *
+     * @param {CameraBounds} bounds - The bounding volume.
+     */
+    addBounds(bounds) {
+        if (!this._bounds.includes(bounds)) {
+            this._bounds.push(bounds);
+        }
+    }
+
+    /**
+     * Removes a room bounding volume added with {@link CameraControls#addBounds}.
+     *
+     * @param {CameraBounds} bounds - The bounding volume.
+     */
+    removeBounds(bounds) {
+        const index = this._bounds.indexOf(bounds);
+        if (index !== -1) {
+            this._bounds.splice(index, 1);
+        }
+    }
+
+    /**
+     * Removes all room bounding volumes added with {@link CameraControls#addBounds}.
+     */
+    clearBounds() {
+        this._bounds.length = 0;
+    }
+
+    /**
+     * Searches the scene again for colliders and tagged bounds entities. Call this after adding
+     * or removing either at runtime; moving them needs no refresh.
+     */
+    refreshCollision() {
+        this._colliders = null;
+        this._boundsEntities = null;
+        this._floorEntities = null;
+    }
+
+    /**
+     * Finds the floor below a point for walk mode.
+     *
+     * @param {Vec3} origin - The top of the downward probe.
+     * @returns {number | null} - The height of the floor, or null if there is none.
+     * @private
+     */
+    _findFloor(origin) {
+        const rigidbody = this.app.systems?.rigidbody;
+        if (rigidbody) {
+            const end = tmpV2.copy(origin);
+            end.y -= FLOOR_PROBE_DISTANCE;
+            const result = rigidbody.raycastFirst(origin, end, this._floorTag ? { filterTags: [this._floorTag] } : {});
+            if (result) {
+                return result.point.y;
+            }
+        }
+
+        if (!this._floorTag) {
+            return null;
+        }
+
+        // without physics the tagged render meshes are the floors, using the top of their bounds
+        if (!this._floorEntities) {
+            this._floorEntities = /** @type {Entity[]} */ (this.app.root.findByTag(this._floorTag));
+        }
+        let floor = null;
+        this._floorEntities.forEach((entity) => {
+            if (!entity.enabled) {
+                return;
+            }
+            entity.render?.meshInstances.forEach((meshInstance) => {
+                const { center, halfExtents } = meshInstance.aabb;
+                const top = center.y + halfExtents.y;
+                if (top <= origin.y && top > origin.y - FLOOR_PROBE_DISTANCE && (floor === null || top > floor) &&
+                    Math.abs(origin.x - center.x) <= halfExtents.x && Math.abs(origin.z - center.z) <= halfExtents.z) {
+                    floor = top;
+                }
+            });
+        });
+        return floor;
+    }
+
+    /**
+     * @returns {CollisionComponent[]} - The colliders that block the camera.
+     * @private
+     */
+    _getColliders() {
+        if (!this._colliders) {
+            const tag = this._collisionTag;
+            this._colliders = /** @type {CollisionComponent[]} */ (this.app.root.findComponents('collision'))
+            .filter((collision) => !tag || collision.entity.tags.has(tag));
+        }
+        return this._colliders.filter((collision) => collision.enabled && collision.entity.enabled);
+    }
+
+    /**
+     * @returns {CameraBounds[]} - The room bounding volumes.
+     * @private
+     */
+    _getBounds() {
+        if (!this._boundsEntities) {
+            this._boundsEntities = this._boundsTag ?
+                /** @type {Entity[]} */ (this.app.root.findByTag(this._boundsTag)) : [];
+        }
+        const entities = this._boundsEntities.filter((entity) => entity.enabled);
+        return entities.length ? this._bounds.concat(entities) : this._bounds;
+    }
+
+    /**
+     * @param {CameraBounds} bounds - The bounding volume.
+     * @returns {Plane[]} - The outward facing planes of the volume.
+     * @private
+     */
+    _getPlanes(bounds) {
+        if (Array.isArray(bounds)) {
+            return bounds;
+        }
+        if (bounds instanceof BoundingBox) {
+            const { center, halfExtents } = bounds;
+            boxAxes[0].set(halfExtents.x, 0, 0);
+            boxAxes[1].set(0, halfExtents.y, 0);
+            boxAxes[2].set(0, 0, halfExtents.z);
+            return getBoxPlanes(center, boxAxes);
+        }
+
+        // oriented boxes and entities both scale the box axes by their world transform
+        const transform = bounds instanceof OrientedBox ? bounds.worldTransform : bounds.getWorldTransform();
+        const half = bounds instanceof OrientedBox ? bounds.halfExtents : tmpV5.set(0.5, 0.5, 0.5);
+        transform.getX(boxAxes[0]).mulScalar(half.x);
+        transform.getY(boxAxes[1]).mulScalar(half.y);
+        transform.getZ(boxAxes[2]).mulScalar(half.z);
+        return getBoxPlanes(transform.getTranslation(tmpV5), boxAxes);
+    }
+
+    /**
+     * Pushes the camera sphere out of a collider.
+     *
+     * @param {Vec3} position - The camera position, updated in place.
+     * @param {number} radius - The camera radius.
+     * @param {CollisionComponent} collision - The collider.
+     * @returns {boolean} - True if the camera was moved.
+     * @private
+     */
+    _pushOutOfCollider(position, radius, collision) {
+        const { entity } = collision;
+        const rotation = entity.getRotation();
+        const center = rotation.transformVector(collision.linearOffset ?? Vec3.ZERO, tmpV5)
+        .add(entity.getPosition());
+
+        switch (collision.type) {
+            case 'sphere': {
+                return pushOutOfSphere(position, center, collision.radius + radius);
+            }
+            case 'box': {
+                return pushOutOfBox(position, radius, center, rotation, collision.halfExtents);
+            }
+            case 'capsule':
+            case 'cylinder':
+            case 'cone': {
+                const half = tmpV2.set(collision.radius, collision.radius, collision.radius);
+                half[['x', 'y', 'z'][collision.axis]] = collision.height * 0.5;
+                return pushOutOfBox(position, radius, center, rotation, half);
+            }
+            default: {
+                // mesh and compound shapes fall back to the bounds of the render meshes
+                let pushed = false;
+                entity.render?.meshInstances.forEach((meshInstance) => {
+                    const { center, halfExtents } = meshInstance.aabb;
+                    pushed = pushOutOfBox(position, radius, center, Quat.IDENTITY, halfExtents) || pushed;
+                });
+                return pushed;
+            }
+        }
+    }
+
+    /**
+     * Keeps a camera move inside the room bounds and outside the colliders.
+     *
+     * @param {Vec3} from - The camera position before the move.
+     * @param {Vec3} position - The camera position after the move, updated in place.
+     * @returns {boolean} - True if the move was changed.
+     * @private
+     */
+    _constrain(from, position) {
+        const radius = Math.max(this.collisionRadius, 0);
+        const target = tmpV1.copy(position);
+
+        const colliders = this.enableCollision ? this._getColliders() : [];
+        if (colliders.length) {
+            // sweep in steps shorter than the radius so thin walls cannot be skipped over
+            const move = tmpV4.sub2(target, from);
+            const steps = math.clamp(Math.ceil(move.length() / Math.max(radius * 0.5, 0.01)), 1, MAX_SWEEP_STEPS);
+            const step = tmpV6.copy(move).mulScalar(1 / steps);
+            position.copy(from);
+            for (let i = 0; i < steps; i++) {
+                position.add(step);
+
+                // pushing out of one collider can push into another, so repeat a few times
+                for (let j = 0; j < 4; j++) {
+                    let pushed = false;
+                    colliders.forEach((collision) => {
+                        pushed = this._pushOutOfCollider(position, radius, collision) || pushed;
+                    });
+                    if (!pushed) {
+                        break;
+                    }
+                }
+            }
+        }
+
+        const bounds = this._getBounds();
+        if (bounds.length && !bounds.some((volume) => insideConvex(this._getPlanes(volume), position, radius))) {
+            // slide along the walls of the room the camera was in, or of the nearest room when
+            // it was outside all of them
+            const current = bounds.filter((volume) => insideConvex(this._getPlanes(volume), from, radius));
+            const result = tmpV2.copy(position);
+            let best = Infinity;
+            (current.length ? current : bounds).forEach((volume) => {
+                const projected = tmpV4.copy(position);
+                projectConvex(this._getPlanes(volume), projected, radius);
+                const dist = projected.distance(position);
+                if (dist < best) {
+                    best = dist;
+                    result.copy(projected);
+                }
+            });
+            position.copy(result);
+        }
+
+        return !position.equalsApprox(target);
+    }
+
+    /**
+     * Applies collision and the room bounds to the pose produced by the controller.
+     *
+     * @private
+     */
+    _applyConstraints() {
+        if (!this.enableCollision && !this._bounds.length && !this._boundsTag) {
+            return;
+        }
+
+        const focus = this._pose.getFocus(tmpV7);
+        if (!this._constrain(this._camera.entity.getPosition(), this._pose.position)) {
+            return;
+        }
+
+        // hand the corrected pose back so the controller continues from the wall rather than
+        // from behind it, which also keeps orbit looking at its focus point
+        switch (this._mode) {
+            case 'fly':
+            case 'walk': {
+                this._controller.attach(this._pose, false);
+                break;
+            }
+            case 'orbit': {
+                if (this._pose.position.distance(focus) > 1e-4) {
+                    this._pose.look(this._pose.position, focus);
+                }
+                this._controller.attach(this._pose, false);
+                break;
+            }
+        }
     }
 
     /**
@@ -727,6 +1453,11 @@ class CameraControls extends Script {
         this._state.ctrl += key[keyCode.CTRL];
         this._state.touches += count[0];
 
+        if (this.suspended) {
+            this._fireSuspendedInput(dt, mouse, wheel, touch, pinch, leftInput, rightInput, leftStick, rightStick);
+            return;
+        }
+
         if (button[0] === 1 || button[1] === 1 || wheel[0] !== 0) {
             // left mouse button, middle mouse button, mouse wheel
             this._setMode('orbit');
@@ -736,7 +1467,7 @@ class CameraControls extends Script {
         }
 
         const orbit = +(this._mode === 'orbit');
-        const fly = +(this._mode === 'fly');
+        const fly = +(this._mode === 'fly' || this._mode === 'walk');
         const double = +(this._state.touches > 1);
         const pan = +this.enablePan &&
             ((orbit && this._state.shift) || this._state.mouse[1] || +(button[1] === -1));
@@ -815,6 +1546,7 @@ class CameraControls extends Script {
 
         // update controller by consuming frame
         this._pose.copy(this._controller.update(frame, dt));
+        this._applyConstraints();
         this._camera.entity.setPosition(this._pose.position);
         this._camera.entity.setEulerAngles(this._pose.angles);
     }
@@ -0,0 +1,266 @@
+import {
+    math,
+    InputController,
+    Pose,
+    Quat,
+    Vec3
+} from 'playcanvas';
+
+/** @import { InputFrame } from 'playcanvas' */
+
+const offset = new Vec3();
+const angles = new Vec3();
+const forward = new Vec3();
+const right = new Vec3();
+const probe = new Vec3();
+const rotation = new Quat();
+
+/**
+ * Calculate the damp rate.
+ *
+ * @param {number} damping - The damping.
+ * @param {number} dt - The delta time.
+ * @returns {number} - The lerp rate.
+ */
+const damp = (damping, dt) => 1 - Math.pow(damping, dt * 1000);
+
+/**
+ * A first person controller that walks on the floor. Movement is kept horizontal, the eye stays
+ * {@link WalkController#eyeHeight} above the floor found by {@link WalkController#floorTest},
+ * steps up to {@link WalkController#stepHeight} are climbed and larger drops are fallen under
+ * gravity.
+ */
+class WalkController extends InputController {
+    /**
+     * @type {Pose}
+     * @private
+     */
+    _targetPose = new Pose();
+
+    /**
+     * The pose handed out by {@link WalkController#update}, which includes the head bob.
+     *
+     * @type {Pose}
+     * @private
+     */
+    _output = new Pose();
+
+    /**
+     * @type {number}
+     * @private
+     */
+    _fallSpeed = 0;
+
+    /**
+     * @type {number}
+     * @private
+     */
+    _bobDistance = 0;
+
+    /**
+     * @type {number}
+     * @private
+     */
+    _bobWeight = 0;
+
+    /**
+     * @type {number}
+     * @private
+     */
+    _bob = 0;
+
+    /**
+     * Finds the floor below a point. It is given the top of a downward probe and returns the
+     * height of the first surface hit, or null when there is none. Without a floor test the eye
+     * height is kept wherever the controller was attached.
+     *
+     * @type {((origin: Vec3) => number | null) | null}
+     */
+    floorTest = null;
+
+    /**
+     * The height of the eye above the floor.
+     *
+     * @type {number}
+     */
+    eyeHeight = 1.5;
+
+    /**
+     * The highest step that is climbed without falling back. Drops larger than this are fallen
+     * under gravity, smaller ones are followed smoothly.
+     *
+     * @type {number}
+     */
+    stepHeight = 0.35;
+
+    /**
+     * The gravity acceleration while falling.
+     *
+     * @type {number}
+     */
+    gravity = 9.8;
+
+    /**
+     * Whether the eye bobs up and down while walking.
+     *
+     * @type {boolean}
+     */
+    headBob = false;
+
+    /**
+     * The height of the head bob.
+     *
+     * @type {number}
+     */
+    headBobAmplitude = 0.04;
+
+    /**
+     * The distance walked during one head bob cycle.
+     *
+     * @type {number}
+     */
+    headBobStride = 0.8;
+
+    /**
+     * The rotation damping. In the range 0 to 1, where a value of 0 means no damping and 1 means
+     * full damping.
+     *
+     * @type {number}
+     */
+    rotateDamping = 0.98;
+
+    /**
+     * The movement damping. In the range 0 to 1, where a value of 0 means no damping and 1 means
+     * full damping.
+     *
+     * @type {number}
+     */
+    moveDamping = 0.98;
+
+    /**
+     * @type {import('playcanvas').Vec2}
+     */
+    set pitchRange(value) {
+        this._targetPose.pitchRange.copy(value);
+        this._pose.copy(this._targetPose.rotate(Vec3.ZERO));
+    }
+
+    get pitchRange() {
+        return this._targetPose.pitchRange;
+    }
+
+    /**
+     * @type {import('playcanvas').Vec2}
+     */
+    set yawRange(value) {
+        this._targetPose.yawRange.copy(value);
+        this._pose.copy(this._targetPose.rotate(Vec3.ZERO));
+    }
+
+    get yawRange() {
+        return this._targetPose.yawRange;
+    }
+
+    /**
+     * @param {Pose} pose - The pose to continue from.
+     * @param {boolean} [smooth] - Whether to move smoothly to the new pose.
+     */
+    attach(pose, smooth = true) {
+        this._targetPose.copy(pose);
+
+        // the head bob is only an offset on top of the walked height
+        this._targetPose.position.y -= this._bob;
+        this._targetPose.angles.z = 0;
+        if (!smooth) {
+            this._pose.copy(this._targetPose);
+        }
+    }
+
+    detach() {
+        this._targetPose.copy(this._pose);
+        this._fallSpeed = 0;
+        this._bobWeight = 0;
+        this._bob = 0;
+    }
+
+    /**
+     * Finds the floor height below a point, reaching no higher than one step above the feet.
+     *
+     * @param {Vec3} position - The eye position.
+     * @returns {number | null} - The floor height.
+     * @private
+     */
+    _findFloor(position) {
+        if (!this.floorTest) {
+            return null;
+        }
+        const feet = position.y - this.eyeHeight;
+        return this.floorTest(probe.set(position.x, feet + this.stepHeight, position.z));
+    }
+
+    /**
+     * @param {InputFrame<{ move: number[], rotate: number[] }>} frame - The input frame.
+     * @param {number} dt - The delta time.
+     * @returns {Pose} - The controller pose.
+     */
+    update(frame, dt) {
+        const { move, rotate } = frame.read();
+
+        // rotate
+        this._targetPose.rotate(angles.set(-rotate[1], -rotate[0], 0));
+
+        // move on the horizontal plane only, following the yaw of the view
+        rotation.setFromEulerAngles(0, this._pose.angles.y, 0);
+        rotation.transformVector(Vec3.FORWARD, forward);
+        rotation.transformVector(Vec3.RIGHT, right);
+        offset.set(0, 0, 0);
+        offset.add(forward.mulScalar(move[2]));
+        offset.add(right.mulScalar(move[0]));
+
+        // only step where there is floor within reach, unless there is no floor anywhere
+        const target = this._targetPose.position;
+        const current = this._findFloor(target);
+        const next = this._findFloor(probe.copy(target).add(offset));
+        const moved = next !== null || current === null;
+        if (moved) {
+            this._targetPose.move(offset);
+        }
+
+        // follow the floor, climbing steps smoothly and falling off ledges
+        const floor = next ?? current;
+        if (floor !== null) {
+            const height = floor + this.eyeHeight;
+            if (target.y - height > this.stepHeight || (this._fallSpeed > 0 && target.y > height)) {
+                this._fallSpeed += this.gravity * dt;
+                target.y = Math.max(height, target.y - this._fallSpeed * dt);
+
+                // the fall itself is not damped
+                this._pose.position.y = target.y;
+            } else {
+                this._fallSpeed = 0;
+                target.y = height;
+            }
+        }
+
+        this._pose.lerp(
+            this._pose,
+            this._targetPose,
+            damp(this.moveDamping, dt),
+            damp(this.rotateDamping, dt)
+        );
+
+        // head bob follows the distance walked, fading in and out as walking starts and stops
+        const stride = moved ? Math.hypot(offset.x, offset.z) : 0;
+        const walking = this.headBob && stride > 0.1 * dt && !this._fallSpeed;
+        this._bobDistance += stride;
+        this._bobWeight = math.lerp(this._bobWeight, +walking, damp(0.9, dt));
+        this._bob = Math.sin(this._bobDistance / this.headBobStride * Math.PI * 2) *
+            this.headBobAmplitude * this._bobWeight;
+
+        this._output.copy(this._pose);
+        this._output.position.y += this._bob;
+        return this._output;
+    }
+}
+
+export { WalkController };